@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * AnthropicProvider — LLM provider for Claude-style Messages APIs.
+ *
+ * Msgs stores OpenAI-shaped messages (system prompts, assistant `tool_calls`,
+ * `role: 'tool'` responses keyed by `tool_call_id`). This provider translates
+ * that queue into the Messages API content-block format on the way out and
+ * translates the reply back into a single OpenAI-shaped assistant message, so
+ * Saico.sendMessage / recvChatMessage work unchanged.
+ *
+ * No SDK is required — requests go over plain http(s) to opt.baseURL.
+ */
+
+const http = require('http');
+const https = require('https');
+const util = require('./util.js');
+const { withRetry, resolvePolicy, LLMError } = require('./retry.js');
+const usage = require('./usage.js');
+
+// Messages API stop_reason => OpenAI finish_reason
+const FINISH_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    tool_use: 'tool_calls',
+    max_tokens: 'length',
+    refusal: 'content_filter',
+};
+
+const { _ldbg } = util;
+
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+class AnthropicProvider {
+    /**
+     * @param {Object} opt
+     * @param {string} [opt.apiKey] - API key (default: process.env.ANTHROPIC_API_KEY)
+     * @param {string} [opt.baseURL='https://api.anthropic.com'] - API base URL
+     * @param {string} [opt.version='2023-06-01'] - anthropic-version header
+     * @param {string} [opt.model] - Default model when the caller passes none
+     * @param {number} [opt.max_tokens=4096] - max_tokens for each request
+     * @param {number} [opt.timeout=600000] - Request timeout in ms
+     * @param {Object} [opt.retry] - Retry policy overrides (see retry.js)
+     */
+    constructor(opt = {}) {
+        this._apiKey = opt.apiKey || null;
+        this.baseURL = (opt.baseURL || 'https://api.anthropic.com').replace(/\/+$/, '');
+        this.version = opt.version || '2023-06-01';
+        this.model = opt.model || DEFAULT_MODEL;
+        this.max_tokens = opt.max_tokens || 4096;
+        this.timeout = opt.timeout || 600000;
+        this.retry = opt.retry || null;
+    }
+
+    get apiKey() {
+        return this._apiKey || process.env.ANTHROPIC_API_KEY || 'test';
+    }
+
+    async send(messages, functions, model, opts = {}) {
+        const body = this._toRequest(messages, functions, model, opts);
+        const data = await withRetry((attempt, { timeout }) => this._post('/v1/messages', body, timeout),
+            resolvePolicy(this.retry, opts.retry), 'Anthropic request');
+        const msg = this._fromResponse(data);
+        if (data.usage)
+            msg.usage = usage.normalize(data.usage, data.model || body.model);
+        return msg;
+    }
+
+    // ---- Request translation ----
+
+    /**
+     * Translate an OpenAI-shaped queue + function list into a Messages API body.
+     * System messages are hoisted into `system`; tool responses become
+     * `tool_result` blocks; consecutive same-role messages are merged. The
+     * Messages API has no JSON mode, so opts.response_schema becomes a system
+     * instruction (Msgs validates the reply either way).
+     */
+    _toRequest(messages, functions, model, opts = {}) {
+        const system = [];
+        const turns = [];
+
+        for (const m of messages || []) {
+            if (m.role === 'system') {
+                if (m.content) system.push(this._text(m.content));
+                continue;
+            }
+            const role = m.role === 'assistant' ? 'assistant' : 'user';
+            const blocks = this._toBlocks(m);
+            if (!blocks.length) continue;
+
+            const last = turns[turns.length - 1];
+            if (last && last.role === role)
+                last.content.push(...blocks);
+            else
+                turns.push({ role, content: blocks });
+        }
+
+        if (opts.response_schema)
+            system.push('Respond with only a JSON value, no prose or code fences, that conforms to this ' +
+                'JSON Schema:\n' + JSON.stringify(opts.response_schema.schema));
+
+        // The Messages API requires the conversation to open with a user turn
+        if (turns.length && turns[0].role !== 'user')
+            turns.unshift({ role: 'user', content: [{ type: 'text', text: '(conversation continues)' }] });
+
+        const body = {
+            model: model || this.model,
+            max_tokens: this.max_tokens,
+            messages: turns,
+        };
+        if (system.length)
+            body.system = system.join('\n\n');
+
+        const tools = this._toTools(functions);
+        if (tools)
+            body.tools = tools;
+        return body;
+    }
+
+    _toBlocks(m) {
+        if (m.role === 'tool') {
+            return [{
+                type: 'tool_result',
+                tool_use_id: m.tool_call_id,
+                content: this._text(m.content),
+            }];
+        }
+
+        const blocks = [];
+        const text = this._text(m.content);
+        if (text) blocks.push({ type: 'text', text });
+
+        if (m.role === 'assistant' && m.tool_calls) {
+            for (const call of m.tool_calls) {
+                let input;
+                try {
+                    input = call.function.arguments ? JSON.parse(call.function.arguments) : {};
+                } catch (e) {
+                    input = { _raw: call.function.arguments };
+                }
+                blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+            }
+        }
+        return blocks;
+    }
+
+    _text(content) {
+        if (content == null) return '';
+        if (typeof content === 'string') return content;
+        if (Array.isArray(content)) {
+            return content.map(part => typeof part === 'string' ? part : (part?.text || ''))
+                .filter(Boolean).join('\n');
+        }
+        return JSON.stringify(content);
+    }
+
+    _toTools(functions) {
+        if (!functions || !functions.length) return null;
+        return functions.map(func => {
+            const f = func.function || func;
+            return {
+                name: f.name,
+                ...(f.description && { description: f.description }),
+                input_schema: f.parameters || { type: 'object', properties: {} },
+            };
+        });
+    }
+
+    // ---- Response translation ----
+
+    /**
+     * Translate a Messages API response into an OpenAI-shaped assistant message.
+     * stop_reason becomes an OpenAI finish_reason ('length' when the reply was
+     * cut off at max_tokens). A response without content blocks is an LLMError.
+     */
+    _fromResponse(data) {
+        if (data?.type === 'error')
+            throw new LLMError('AnthropicProvider: ' + (data.error?.message || 'error response'),
+                { code: data.error?.type });
+        if (!data || !Array.isArray(data.content))
+            throw new LLMError('AnthropicProvider: malformed response');
+
+        const text = [];
+        const tool_calls = [];
+        for (const block of data.content) {
+            if (block.type === 'text')
+                text.push(block.text);
+            else if (block.type === 'tool_use') {
+                tool_calls.push({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+                });
+            }
+        }
+
+        const msg = { role: 'assistant', content: text.length ? text.join('\n') : null };
+        if (tool_calls.length)
+            msg.tool_calls = tool_calls;
+        if (data.stop_reason)
+            msg.finish_reason = FINISH_REASONS[data.stop_reason] || data.stop_reason;
+        return msg;
+    }
+
+    // ---- Transport ----
+
+    _post(path, body, timeout) {
+        const url = new URL(this.baseURL + path);
+        const transport = url.protocol === 'http:' ? http : https;
+        const payload = JSON.stringify(body);
+        timeout = Math.min(this.timeout, timeout || Infinity);
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'content-length': Buffer.byteLength(payload),
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': this.version,
+                },
+                timeout,
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let data;
+                    try {
+                        data = text ? JSON.parse(text) : null;
+                    } catch (e) {
+                        data = null;
+                    }
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        _ldbg('anthropic response', res.statusCode, text.slice(0, 200));
+                        return resolve(data);
+                    }
+                    const err = new Error(data?.error?.message || `Anthropic API error ${res.statusCode}`);
+                    err.status = res.statusCode;
+                    err.headers = res.headers;
+                    err.type = data?.error?.type;
+                    reject(err);
+                });
+            });
+            req.on('timeout', () => {
+                const err = new Error(`Anthropic request timed out after ${timeout}ms`);
+                err.code = 'ETIMEDOUT';
+                req.destroy(err);
+            });
+            req.on('error', reject);
+            req.end(payload);
+        });
+    }
+}
+
+function createAnthropicProvider(opt) {
+    return new AnthropicProvider(opt);
+}
+
+module.exports = { AnthropicProvider, createAnthropicProvider };
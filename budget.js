@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * budget — token and spend limits for a Saico subtree.
+ *
+ * A budget is declared on a Saico (opt.budget) and applies to the tree usage
+ * of that instance: its own LLM calls and those of all descendants (see
+ * usage.js). Before every LLM call Msgs asks the owning Saico to check the
+ * budgets of itself and each ancestor; evaluate() compares what was already
+ * spent plus the prompt about to be sent against each limit:
+ *
+ *     { max_tokens, max_cost, policy: 'reject' | 'downgrade', model, overdraft }
+ *
+ *   reject    — the call fails with BudgetExceededError (the default)
+ *   downgrade — the call is sent with budget.model instead, until spend
+ *               passes the limit by `overdraft` (fraction, default 0.2);
+ *               past that it is rejected as well
+ *
+ * Completion tokens are unknown before the call, so a single call may end
+ * slightly over the limit; the next one is then refused.
+ */
+
+const usage = require('./usage.js');
+
+const POLICIES = ['reject', 'downgrade'];
+const DEFAULT_OVERDRAFT = 0.2;
+
+class BudgetExceededError extends Error {
+    constructor(message, opt = {}) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.budget = opt.budget || null;
+        this.spent = opt.spent || null;
+        this.owner = opt.owner || null;    // { id, name } of the Saico that declared the budget
+    }
+}
+
+/**
+ * Validate a budget declaration. Throws on invalid input; returns the budget.
+ */
+function validate(budget) {
+    if (!budget) return null;
+    if (!budget.max_tokens && !budget.max_cost)
+        throw new Error('Budget requires max_tokens or max_cost');
+    const policy = budget.policy || 'reject';
+    if (!POLICIES.includes(policy))
+        throw new Error(`Unknown budget policy "${policy}", expected ${POLICIES.join(' or ')}`);
+    if (policy === 'downgrade' && !budget.model)
+        throw new Error('Budget policy "downgrade" requires budget.model');
+    return budget;
+}
+
+function _over(budget, tokens, cost, factor = 1) {
+    if (budget.max_tokens && tokens > budget.max_tokens * factor)
+        return `tokens ${tokens}/${budget.max_tokens}`;
+    if (budget.max_cost && cost > budget.max_cost * factor)
+        return `cost $${cost.toFixed(6)}/$${budget.max_cost}`;
+    return null;
+}
+
+function _promptCost(prompt_tokens, model) {
+    return usage.cost({ prompt_tokens, cached_tokens: 0, completion_tokens: 0 }, model);
+}
+
+/**
+ * Decide whether a call may go ahead.
+ * @param {Object} budget - Budget declaration
+ * @param {Object} spent - Usage totals the budget applies to
+ * @param {Object} request - { model, prompt_tokens } of the call about to be made
+ * @returns {{ action: 'ok'|'downgrade'|'reject', reason?, model? }}
+ */
+function evaluate(budget, spent, request = {}) {
+    const prompt = request.prompt_tokens || 0;
+    const tokens = (spent?.total_tokens || 0) + prompt;
+    const cost = (spent?.cost || 0) + _promptCost(prompt, request.model);
+
+    const reason = _over(budget, tokens, cost);
+    if (!reason)
+        return { action: 'ok' };
+    if ((budget.policy || 'reject') !== 'downgrade')
+        return { action: 'reject', reason };
+
+    const cheapCost = (spent?.cost || 0) + _promptCost(prompt, budget.model);
+    const hard = _over(budget, tokens, cheapCost, 1 + (budget.overdraft ?? DEFAULT_OVERDRAFT));
+    if (hard)
+        return { action: 'reject', reason: hard + ' (overdraft exhausted)' };
+    return { action: 'downgrade', reason, model: budget.model };
+}
+
+module.exports = {
+    BudgetExceededError,
+    validate,
+    evaluate,
+};
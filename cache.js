@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * cache — result caching for idempotent tool calls.
+ *
+ *     static tools = {
+ *         get_weather: { description: '...', idempotent: true, cacheTtl: 60000, cacheScope: 'subtree' },
+ *     };
+ *
+ * A repeated call with the same arguments (compared after parsing, so key
+ * order does not matter) is answered from the cache instead of running the
+ * TOOL_ method again. cacheScope decides who shares the results:
+ *
+ *     'msgs'    — only the msgs Q that made the call (default)
+ *     'subtree' — every caller of the Saico that implements the tool
+ *     'global'  — the whole process
+ *
+ * cacheTtl is in milliseconds; without it entries live until invalidated.
+ * Each cache holds at most maxEntries results: expired entries are swept on
+ * every set, then the least recently used are dropped.
+ */
+
+const SCOPES = ['msgs', 'subtree', 'global'];
+const MAX_ENTRIES = 500;
+
+class ToolCache {
+    /**
+     * @param {Object} [opt]
+     * @param {number} [opt.maxEntries=500] - Least recently used entries are dropped past this
+     */
+    constructor(opt = {}) {
+        this._entries = new Map();
+        this.maxEntries = opt.maxEntries || MAX_ENTRIES;
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * @returns {Object|null} The stored { tool, args, content, functions, tm }, or null
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) return null;
+        if (entry.expires && entry.expires <= Date.now()) {
+            this._entries.delete(key);
+            return null;
+        }
+        // Map order is insertion order: move the entry to the recent end
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        return entry;
+    }
+
+    set(key, entry, ttl) {
+        const now = Date.now();
+        for (const [k, e] of this._entries) {
+            if (e.expires && e.expires <= now)
+                this._entries.delete(k);
+        }
+        this._entries.delete(key);
+        this._entries.set(key, { ...entry, tm: now, expires: ttl ? now + ttl : null });
+        for (const k of this._entries.keys()) {
+            if (this._entries.size <= this.maxEntries) break;
+            this._entries.delete(k);
+        }
+    }
+
+    /**
+     * Drop entries of a tool (every tool when omitted), only those called with
+     * `args` when given. Returns the number of entries removed.
+     */
+    invalidate(tool, args) {
+        const argsKey = args === undefined ? null : canonical(args);
+        let removed = 0;
+        for (const [key, entry] of this._entries) {
+            if (tool && entry.tool !== tool) continue;
+            if (argsKey !== null && canonical(entry.args) !== argsKey) continue;
+            this._entries.delete(key);
+            removed++;
+        }
+        return removed;
+    }
+
+    clear() {
+        this._entries.clear();
+    }
+}
+
+// Process-wide cache for cacheScope 'global'
+const globalCache = new ToolCache();
+
+// JSON with object keys sorted, so equal arguments give equal keys
+function canonical(value) {
+    return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v))
+        ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+        : v);
+}
+
+function scopeOf(def) {
+    const scope = def.cacheScope || 'msgs';
+    if (!SCOPES.includes(scope))
+        throw new Error(`Unknown cacheScope for tool "${def.name}": ${scope}`);
+    return scope;
+}
+
+module.exports = {
+    SCOPES,
+    MAX_ENTRIES,
+    ToolCache,
+    globalCache,
+    canonical,
+    scopeOf,
+};
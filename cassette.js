@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Cassette — record/replay wrapper for LLM providers.
+ *
+ * In 'record' mode every request (queue, function list, model) and the reply
+ * from the wrapped provider are appended to a JSONL file. In 'replay' mode
+ * replies are served from that file, keyed by a stable hash of the request, so
+ * a recorded conversation can be re-run locally with the exact same model
+ * outputs — TOOL_ methods still execute for real.
+ *
+ * A replay request whose hash is not in the cassette is a divergence: it is
+ * recorded in `divergences` with the nearest recorded request for comparison,
+ * then thrown as CassetteMismatchError (or passed through to the wrapped
+ * provider when opt.strict is false).
+ *
+ * Both the chat path and summarization go through the provider, so a cassette
+ * set as a Saico's provider captures all LLM traffic of that subtree.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const providers = require('./providers.js');
+const util = require('./util.js');
+
+const { _log } = util;
+
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g;
+
+class CassetteMismatchError extends Error {
+    constructor(message, divergence) {
+        super('Cassette: ' + message);
+        this.name = 'CassetteMismatchError';
+        this.divergence = divergence || null;
+    }
+}
+
+class Cassette {
+    /**
+     * @param {Object} opt
+     * @param {string} opt.file - JSONL cassette path
+     * @param {string} [opt.mode='replay'] - 'record' or 'replay'
+     * @param {string|Object} [opt.provider] - Wrapped provider (default: library default)
+     * @param {boolean} [opt.strict=true] - Replay: throw on divergence instead of passing through
+     * @param {Function} [opt.normalize] - (request) => request, applied before hashing.
+     *   Default masks ISO timestamps (e.g. in the tool activity log).
+     */
+    constructor(opt = {}) {
+        if (!opt.file)
+            throw new Error('Cassette: opt.file is required');
+        if (opt.mode && !['record', 'replay'].includes(opt.mode))
+            throw new Error('Cassette: unknown mode ' + opt.mode);
+        this.file = opt.file;
+        this.mode = opt.mode || 'replay';
+        this.strict = opt.strict !== false;
+        this._provider = providers.resolve(opt.provider);
+        this._normalize = opt.normalize || maskTimestamps;
+        this.divergences = [];
+        this._entries = null;   // replay: recorded entries, in order
+        this._byKey = null;     // replay: key -> unconsumed entries
+        this._count = 0;
+    }
+
+    /**
+     * Stable hash of a request. Object keys are sorted so that property order
+     * does not matter; the normalize hook runs first.
+     */
+    key(messages, functions, model) {
+        const request = this._normalize({ messages, functions: functions || null, model: model || null });
+        return crypto.createHash('sha256').update(canonical(request)).digest('hex');
+    }
+
+    async send(messages, functions, model, opts = {}) {
+        const index = this._count++;
+        const key = this.key(messages, functions, model);
+        if (this.mode === 'record')
+            return this._record(index, key, messages, functions, model, opts);
+        return this._replay(index, key, messages, functions, model, opts);
+    }
+
+    async _record(index, key, messages, functions, model, opts) {
+        const reply = await this._provider.send(messages, functions, model, opts);
+        const entry = {
+            index,
+            key,
+            tag: opts.tag,
+            ...(opts.summary && { summary: true }),
+            model: model || null,
+            messages,
+            functions: functions || null,
+            reply,
+            tm: Date.now(),
+        };
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+        return reply;
+    }
+
+    async _replay(index, key, messages, functions, model, opts) {
+        this._load();
+        const queue = this._byKey.get(key);
+        if (queue && queue.length) {
+            const entry = queue.shift();
+            _log('Cassette replay #' + index, 'from recorded #' + entry.index);
+            return JSON.parse(JSON.stringify(entry.reply));
+        }
+
+        const divergence = this._divergence(index, key, messages, functions, model);
+        this.divergences.push(divergence);
+        if (this.strict)
+            throw new CassetteMismatchError(`request #${index} not found in ${this.file}: ${divergence.reason}`,
+                divergence);
+        _log('Cassette divergence, passing through:', divergence.reason);
+        return this._provider.send(messages, functions, model, opts);
+    }
+
+    /**
+     * Recorded entries that were never replayed.
+     */
+    unused() {
+        if (!this._byKey) return [];
+        const left = [];
+        for (const queue of this._byKey.values())
+            left.push(...queue);
+        return left.sort((a, b) => a.index - b.index);
+    }
+
+    _load() {
+        if (this._entries) return;
+        const text = fs.existsSync(this.file) ? fs.readFileSync(this.file, 'utf8') : '';
+        this._entries = text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+        this._byKey = new Map();
+        for (const entry of this._entries) {
+            if (!this._byKey.has(entry.key))
+                this._byKey.set(entry.key, []);
+            this._byKey.get(entry.key).push(entry);
+        }
+    }
+
+    // Compare a missed request against the recorded request at the same
+    // position (or the last one) and describe the first difference.
+    _divergence(index, key, messages, functions, model) {
+        const expected = this._entries[index] || this._entries[this._entries.length - 1];
+        const divergence = { index, key, expected_index: expected?.index ?? null, reason: '' };
+        if (!expected) {
+            divergence.reason = 'cassette is empty';
+            return divergence;
+        }
+
+        const norm = this._normalize({ messages, functions: functions || null, model: model || null });
+        const rec = this._normalize({ messages: expected.messages, functions: expected.functions,
+            model: expected.model });
+
+        if (norm.model !== rec.model)
+            divergence.reason = `model ${JSON.stringify(norm.model)} vs recorded ${JSON.stringify(rec.model)}`;
+        else if (canonical(norm.functions) !== canonical(rec.functions))
+            divergence.reason = 'function list differs from recorded request #' + expected.index;
+        else {
+            const len = Math.max(norm.messages.length, rec.messages.length);
+            for (let i = 0; i < len; i++) {
+                if (canonical(norm.messages[i]) === canonical(rec.messages[i])) continue;
+                divergence.message_index = i;
+                divergence.actual = norm.messages[i] || null;
+                divergence.recorded = rec.messages[i] || null;
+                divergence.reason = `message ${i} differs from recorded request #${expected.index}: ` +
+                    `${preview(norm.messages[i])} vs recorded ${preview(rec.messages[i])}`;
+                break;
+            }
+            if (!divergence.reason)
+                divergence.reason = 'identical to recorded request #' + expected.index + ' but already consumed';
+        }
+        return divergence;
+    }
+}
+
+function createCassette(opt) {
+    return new Cassette(opt);
+}
+
+function maskTimestamps(request) {
+    return JSON.parse(JSON.stringify(request), (k, v) =>
+        typeof v === 'string' ? v.replace(ISO_TIMESTAMP, '<timestamp>') : v);
+}
+
+// JSON with sorted object keys
+function canonical(value) {
+    if (value === undefined) return 'undefined';
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+    return '{' + Object.keys(value).sort().filter(k => value[k] !== undefined)
+        .map(k => JSON.stringify(k) + ':' + canonical(value[k])).join(',') + '}';
+}
+
+function preview(msg) {
+    if (!msg) return '(none)';
+    const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content ?? msg.tool_calls);
+    return `${msg.role}: ${JSON.stringify(String(content).slice(0, 120))}`;
+}
+
+module.exports = { Cassette, createCassette, CassetteMismatchError };
@@ -5,6 +5,12 @@ const { Msgs, createMsgs } = require('./msgs.js');
 const { Store } = require('./store.js');
 const { Saico } = require('./saico.js');
 const { DynamoDBAdapter } = require('./dynamo.js');
+const { AnthropicProvider, createAnthropicProvider } = require('./anthropic.js');
+const { ScriptedProvider, ScriptedProviderError } = require('./scripted.js');
+const { Cassette, createCassette, CassetteMismatchError } = require('./cassette.js');
+const { LLMError, LLMRetryExhaustedError, LLMDeadlineError } = require('./retry.js');
+const { BudgetExceededError } = require('./budget.js');
+const { StructuredOutputError } = require('./schema.js');
 
 /**
  * Initialize Saico with storage configuration.
@@ -34,6 +40,20 @@ module.exports = {
     Saico,
     DynamoDBAdapter,
 
+    // LLM providers
+    AnthropicProvider,
+    ScriptedProvider,
+    ScriptedProviderError,
+    Cassette,
+    CassetteMismatchError,
+
+    // LLM errors
+    LLMError,
+    LLMRetryExhaustedError,
+    LLMDeadlineError,
+    BudgetExceededError,
+    StructuredOutputError,
+
     // Core classes
     Itask,
     Msgs,
@@ -44,6 +64,8 @@ module.exports = {
 
     // Factory
     createMsgs,
+    createAnthropicProvider,
+    createCassette,
 
     // Utilities (re-export from util.js)
     util: require('./util.js'),
@@ -51,6 +73,36 @@ module.exports = {
     // OpenAI wrapper (re-export)
     openai: require('./openai.js'),
 
+    // JSON Schema validation (re-export)
+    schema: require('./schema.js'),
+
+    // Token usage and cost accounting (re-export)
+    usage: require('./usage.js'),
+
+    // Model routing policies (re-export)
+    routing: require('./routing.js'),
+
+    // Tool permission policies (re-export)
+    permissions: require('./permissions.js'),
+
+    // Tool result size limits (re-export)
+    results: require('./results.js'),
+
+    // Idempotent tool result cache (re-export)
+    cache: require('./cache.js'),
+
+    // Summarization strategies (re-export)
+    summarize: require('./summarize.js'),
+
+    // Token counting and model context windows (re-export)
+    tokens: require('./tokens.js'),
+
+    // Retry/backoff policy (re-export)
+    retry: require('./retry.js'),
+
+    // LLM provider registry (re-export)
+    providers: require('./providers.js'),
+
     // Redis persistence (re-export)
     redis: require('./redis.js'),
 };
@@ -388,6 +388,7 @@ Itask.prototype._ecancel = function _ecancel(arg){
             this.cur_state = Math.max(0, this._cancel_state_idx);
             _ldbg(`[ITASK ${this.name}] Jumped to cancel state at index ${this.cur_state}`);
         }
+        try { this.emit('cancel', arg); } catch (e){ lerr.perr(e); }
         // if task is waiting on wait(), reject to unblock it
         this._cancel_wait(this.error);
         _ldbg(`[ITASK ${this.name}] Called _cancel_wait`);
@@ -1,12 +1,40 @@
 'use strict';
 
 const crypto = require('crypto');
-const openai = require('./openai.js');
+const providers = require('./providers.js');
 const util = require('./util.js');
+const usage = require('./usage.js');
+const schema = require('./schema.js');
+const routing = require('./routing.js');
+const results = require('./results.js');
+const toolCache = require('./cache.js');
+const summarize = require('./summarize.js');
+const tokens = require('./tokens.js');
 
 const { _log, _lerr, _ldbg } = util;
 const debug = 0;
 
+// Prefix the LLM sees on backend messages. Provenance itself is the entry's
+// `backend` flag, set only for messages sent with opts.backend.
+const BACKEND_PREFIX = '[BACKEND] ';
+// The marker as a user could type it, matched after NFKC folding (fullwidth
+// letters and brackets) with invisible characters removed and look-alike
+// letters read as the Latin ones
+const BACKEND_MARKER = /\[\s*backend\s*\]/gi;
+const INVISIBLE = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+// Cyrillic, Greek and other letters that pass for the letters of "backend"
+// (one UTF-16 unit each, so positions in the matched text stay the same)
+const CONFUSABLES = {
+    a: 'аАɑαΑ', b: 'ЬьВƄƅΒ', c: 'сСϲϹ', k: 'кКκΚ', e: 'еЕҽΕ', n: 'пոΝ', d: 'ԁ',
+};
+const CONFUSABLE_LATIN = new Map(Object.entries(CONFUSABLES)
+    .flatMap(([latin, lookalikes]) => [...lookalikes].map(c => [c, latin])));
+const CONFUSABLE = new RegExp('[' + [...CONFUSABLE_LATIN.keys()].join('') + ']', 'g');
+
+// Growth of the outgoing queue, as a fraction of its limit, before another
+// automatic summary when the last one could not get it under the threshold
+const AUTO_BACKOFF = 0.15;
+
 /**
  * Msgs - Pure message queue with tool call handling, summarization, and LLM communication.
  * Saico sets callback hooks after construction to wire in hierarchy access.
@@ -19,6 +47,9 @@ class Msgs {
         this.lower_limit = this.token_limit * 0.85;
         this.upper_limit = this.token_limit * 0.98;
         this.functions = config.functions || null;
+        this._provider = config.provider || null;
+        this.retry = config.retry || null;
+        this.model = config.model || null;      // model name or routing policy (see routing.js)
 
         // Recursive depth and repetition control
         this.max_depth = config.max_depth || 5;
@@ -27,9 +58,31 @@ class Msgs {
         this._deferred_tool_calls = [];
         this._tool_call_sequence = [];
 
+        // Concurrent execution of parallelSafe tool calls (opt-in)
+        this.parallel_tools = config.parallel_tools || false;
+        this.tool_concurrency = config.tool_concurrency ?? 4;
+
+        // Tool argument checks against the function's parameters schema
+        this.validate_tool_args = config.validate_tool_args ?? true;
+        this.coerce_tool_args = config.coerce_tool_args || false;
+
+        // Size limit for tool results (see results.js); a function's resultLimit wins
+        this.tool_result_limit = results.normalize(config.tool_result_limit);
+
+        // How the Q is condensed when it grows too long (see summarize.js)
+        this.summarization = summarize.normalize(config.summarization);
+        // When the outgoing queue gets that long the Q is summarized before the call
+        this.auto_summarize = summarize.normalizeAuto(config.auto_summarize);
+        // Room left for the reply within the model's context window (see tokens.js)
+        this.reply_tokens = config.reply_tokens ?? 4096;
+        this._summarizing = null;   // running summarization started by _autoSummarize
+        this._autoFloor = null;     // queue size an automatic summary could not bring under the threshold
+
         this._msgs = [];
         this._waitingQueue = [];
         this._active_tool_calls = new Map();
+        this._tool_controllers = new Set();   // AbortControllers of running TOOL_ calls
+        this._tool_cache = new toolCache.ToolCache();   // idempotent results, cacheScope 'msgs'
 
         // Sequential mode support
         this._sequential_queue = [];
@@ -44,12 +97,34 @@ class Msgs {
         // Tool digest — persistent history of tool calls that mutated task state
         this.tool_digest = config.tool_digest || [];
 
+        // Tool calls parked until the application approves or rejects them
+        this.pending_approvals = config.pending_approvals || [];
+
+        // Token usage totals for this Q (underscore: kept out of dirty detection)
+        this._usage = usage.add(usage.empty(), config.usage);
+
         // Callback hooks — set by Saico after construction
-        this._findToolImpl = null;   // (toolName) => { saico, methodName } | null
+        this._findToolImpl = null;   // (toolName) => { saico, methodName } | { denied } | null
         this._getSnapshot = null;    // () => serializable snapshot for dirty detection
+        this._getProvider = null;    // () => LLM provider resolved from the hierarchy
+        this._onUsage = null;        // (usage) => void, called with each normalized usage record
+        this._checkBudget = null;    // ({ model, prompt_tokens }) => { model, reason } | null, may throw
+        this._getModelPolicy = null; // () => model routing policy merged from the hierarchy
+        this._onApprovalRequest = null; // (request) => void, called for each tool call parked for approval
+        this._stashToolResult = null;   // ({ id, tool, content }, where) => ref of the stored full result
+        this._getMiddleware = null;     // () => middleware chain merged from the hierarchy
+        this._onEvent = null;           // (type, data) => void, lifecycle events (see Saico._emitEvent)
+        this._getSummaryPrompt = null;  // () => summarization instructions of the owning Saico, or null
+        this._saveFacts = null;         // (facts) => void, key/value facts from the 'facts' strategy
+
+        // Middleware for a standalone Q; Saico supplies its chain via _getMiddleware
+        this._middleware = config.middleware || [];
 
         // Initialize messages: explicit msgs take priority over chat_history
         this._chat_history = config.chat_history || null;
+        this._pinned_history = config.pinned || [];   // indexes of pinned messages in chat_history
+        this._backend_history = config.backend || []; // indexes of (pinned) backend messages in chat_history
+        this._models_history = config.models || {};  // chat_history index -> model that answered
         (config.msgs || []).forEach(m => this.push(m));
 
         _log('created Msgs for tag', this.tag);
@@ -57,47 +132,81 @@ class Msgs {
 
     /**
      * Decompress _chat_history into _msgs. Call after construction when
-     * restoring from persisted state. No-op if chat_history is absent or
-     * _msgs were already provided via config.msgs.
+     * restoring from persisted state. History is skipped if chat_history is
+     * absent or _msgs were already provided via config.msgs. Messages listed
+     * in config.pinned are pinned again, and those in config.backend get
+     * their backend provenance back; config.models gives replies the model
+     * that answered them. The tool_calls messages of pending approvals are
+     * then put back after it.
      */
     async initHistory() {
-        if (!this._chat_history || this._msgs.length > 0)
-            return;
-        const messages = await util.decompressMessages(this._chat_history);
-        if (!Array.isArray(messages) || messages.length === 0)
-            return;
-        for (const m of messages) {
-            this._msgs.push({
-                msg: m,
-                opts: {},
-                msgid: crypto.randomBytes(2).toString('hex'),
-                replied: 1,
-            });
+        if (this._chat_history && this._msgs.length === 0) {
+            const messages = await util.decompressMessages(this._chat_history);
+            const pinned = new Set(this._pinned_history);
+            const backend = new Set(this._backend_history);
+            for (const [i, m] of (Array.isArray(messages) ? messages : []).entries()) {
+                this._msgs.push({
+                    msg: m,
+                    opts: {},
+                    msgid: crypto.randomBytes(2).toString('hex'),
+                    replied: 1,
+                    ...(pinned.has(i) && {pinned: true}),
+                    ...(backend.has(i) && {backend: true}),
+                    ...(this._models_history[i] && {model: this._models_history[i]}),
+                });
+            }
         }
+        for (const group of this.pending_approvals)
+            this._restoreApprovalMessage(group);
     }
 
     /**
      * Prepare the message Q for storage. Filters out tool calls, tool
-     * responses, and [BACKEND] messages, trims to QUEUE_LIMIT, compresses.
-     * Returns { chat_history, tool_digest }. Does NOT mutate _msgs.
+     * responses, and backend messages, trims to QUEUE_LIMIT, compresses.
+     * Pinned messages are kept whatever their kind and are not counted
+     * against QUEUE_LIMIT; `pinned` lists their indexes in chat_history and
+     * `backend` those of the pinned backend messages among them. `models`
+     * maps the index of each reply to the model that answered it.
+     * Returns { chat_history, tool_digest, usage, pending_approvals, pinned, backend, models }.
+     * Does NOT mutate _msgs.
      */
     async prepareForStorage() {
+        const pinned = this._pinnedEntries();
         const cleaned = this._msgs.filter(m => {
+            if (pinned.has(m)) return true;
             if (m.msg.tool_calls) return false;
             if (m.msg.role === 'tool') return false;
-            if (typeof m.msg.content === 'string' && m.msg.content.startsWith('[BACKEND]')) return false;
+            if (m.backend) return false;
             return true;
-        }).map(m => m.msg);
+        });
 
-        const trimmed = cleaned.length > this.QUEUE_LIMIT
-            ? cleaned.slice(-this.QUEUE_LIMIT)
+        let excess = cleaned.length - pinned.size - this.QUEUE_LIMIT;
+        const trimmed = excess > 0
+            ? cleaned.filter(m => pinned.has(m) || excess-- <= 0)
             : cleaned;
 
         const chat_history = trimmed.length > 0
-            ? await util.compressMessages(trimmed)
+            ? await util.compressMessages(trimmed.map(m => m.msg))
             : null;
 
-        return { chat_history, tool_digest: this.tool_digest || [] };
+        return {
+            chat_history,
+            tool_digest: this.tool_digest || [],
+            usage: this._usage,
+            pending_approvals: this.pending_approvals,
+            pinned: trimmed.flatMap((m, i) => pinned.has(m) ? [i] : []),
+            backend: trimmed.flatMap((m, i) => m.backend ? [i] : []),
+            models: Object.fromEntries(trimmed.flatMap((m, i) => m.model ? [[i, m.model]] : [])),
+        };
+    }
+
+    /**
+     * Token usage totals of every LLM call made by this Q, summaries included:
+     * { calls, prompt_tokens, completion_tokens, cached_tokens, total_tokens,
+     *   cost, by_model } (see usage.js).
+     */
+    get usage() {
+        return this._usage;
     }
 
     // Snapshot all public (non-underscore) task properties for dirty detection.
@@ -126,6 +235,184 @@ class Msgs {
             this.tool_digest = this.tool_digest.slice(-this.TOOL_DIGEST_LIMIT);
     }
 
+    // Resolve the LLM provider: own config first, then the hierarchy (via
+    // Saico), then the library-level default.
+    _resolveProvider() {
+        if (this._provider)
+            return providers.resolve(this._provider);
+        if (this._getProvider)
+            return this._getProvider();
+        return providers.resolve();
+    }
+
+    // Request context passed to the provider with every call
+    _providerOpts(extra) {
+        return { tag: this.tag, ...(this.retry && { retry: this.retry }), ...extra };
+    }
+
+    _modelPolicy() {
+        return this._getModelPolicy ? this._getModelPolicy() : routing.normalize(this.model);
+    }
+
+    // Send the queue to the provider and resolve with { reply, model }. The
+    // model comes from the routing policy (per-message opts.model, escalation
+    // after N tool-call rounds, budget downgrade); on failure the policy
+    // fallbacks are tried in order. When the message carries a stream sink
+    // (opts._onStream) and the provider supports streaming, deltas are forwarded
+    // as they arrive; otherwise the full reply is forwarded as a single delta.
+    async _requestLLM(Q, funcs, opts) {
+        const provider = this._resolveProvider();
+        const policy = this._modelPolicy();
+        const chosen = this._chooseModel(opts, policy, provider);
+        const models = routing.candidates(policy, this._budgetModel(Q, funcs, chosen));
+        const format = schema.responseFormat(opts?.responseSchema);
+        const extra = format ? { response_schema: { name: format.name, schema: format.schema, strict: format.strict } }
+            : {};
+
+        for (let i = 0; ; i++) {
+            const model = models[i];
+            const started = Date.now();
+            const sent = this._fitToWindow(Q, funcs, model);
+            this._emitEvent('llm_request', { model, messages: sent.length, functions: funcs?.length || 0 });
+            try {
+                const reply = await this._callProvider(provider, sent, funcs, model, extra, opts?._onStream);
+                const u = this._recordUsage(reply, model);
+                // The finish reason is reported, not stored with the reply
+                const finish_reason = reply.finish_reason || null;
+                delete reply.finish_reason;
+                if (finish_reason === 'length')
+                    _lerr('[' + this.tag + '] Reply of', model || '(default model)', 'was cut off at its token limit');
+                this._emitEvent('llm_response', { model, duration_ms: Date.now() - started,
+                    tool_calls: reply.tool_calls?.length || 0, usage: u || null, finish_reason });
+                return { reply, model };
+            } catch (err) {
+                this._emitEvent('llm_error', { model, duration_ms: Date.now() - started, error: err.message,
+                    fallback: models[i + 1] ?? null });
+                if (i + 1 >= models.length)
+                    throw err;
+                _lerr('LLM call with', model || '(default model)', 'failed:', err.message,
+                    '- falling back to', models[i + 1]);
+            }
+        }
+    }
+
+    // The model routing picks for a message, before budgets and fallbacks
+    _chooseModel(opts, policy = this._modelPolicy(), provider = this._resolveProvider()) {
+        const rounds = opts?._recursive_depth ? opts._recursive_depth - 1 : 0;
+        return routing.select(policy, { requested: opts?.model, rounds, fallback: provider.model });
+    }
+
+    // Tokens a request to the model may use: its context window less the
+    // room kept for the reply, or null when the window is unknown
+    _windowLimit(model) {
+        const window = tokens.contextWindow(model);
+        return window ? window - this.reply_tokens : null;
+    }
+
+    /**
+     * Keep a request within the model's context window. When it does not fit,
+     * the oldest conversation messages after the leading system messages are
+     * left out until it does. An assistant tool call and its responses are
+     * kept or left out together; the last message (with its tool round) and
+     * pinned messages are always sent. Returns the queue to send.
+     */
+    _fitToWindow(Q, funcs, model) {
+        const limit = this._windowLimit(model);
+        if (!limit)
+            return Q;
+        let size = util.countTokens(Q, model, funcs);
+        if (size <= limit)
+            return Q;
+        const head = Q.findIndex(m => m.role !== 'system');
+        if (head === -1)
+            return Q;
+        // Q holds copies of the assistant tool_calls messages (see
+        // _validateToolResponses), so pinned tool rounds are told by their ids
+        const entries = [...this._pinnedEntries()];
+        const pinned = new Set(entries.map(m => m.msg));
+        const pinnedCalls = new Set(entries.flatMap(m => m.msg.tool_call_id ? [m.msg.tool_call_id] : []));
+        const isPinned = (m) => pinned.has(m) || pinnedCalls.has(m.tool_call_id) ||
+            !!m.tool_calls?.some(call => pinnedCalls.has(call.id));
+        const units = toolRounds(Q.slice(head));
+        // The request is counted once; each unit left out takes its own
+        // tokens off (counting an empty request gives the fixed part)
+        const empty = util.countTokens([], model);
+        let at = 0;
+        let dropped = 0;
+        while (size > limit) {
+            while (at < units.length - 1 && units[at].some(isPinned))
+                at++;
+            if (at >= units.length - 1)
+                break;
+            const unit = units.splice(at, 1)[0];
+            size -= util.countTokens(unit, model) - empty;
+            dropped += unit.length;
+        }
+        _lerr('[' + this.tag + '] Request exceeds the', limit, 'token window of', model + '; left out the',
+            dropped, 'oldest messages');
+        return [...Q.slice(0, head), ...units.flat()];
+    }
+
+    async _callProvider(provider, Q, funcs, model, extra, onStream) {
+        if (onStream && typeof provider.stream === 'function')
+            return provider.stream(Q, funcs, model, this._providerOpts({ ...extra, onDelta: onStream }));
+        const reply = await provider.send(Q, funcs, model, this._providerOpts(extra));
+        if (onStream && reply?.content)
+            onStream({ type: 'content', delta: reply.content });
+        return reply;
+    }
+
+    // Check spend budgets before a call. Returns the model to use — the
+    // requested one, or a cheaper one when a budget downgrades; throws
+    // BudgetExceededError when a budget rejects.
+    _budgetModel(Q, funcs, model) {
+        if (!this._checkBudget)
+            return model;
+        const verdict = this._checkBudget({ model, prompt_tokens: util.countTokens(Q, model, funcs) });
+        if (verdict?.model && verdict.model !== model) {
+            _log('Budget', verdict.reason, '- downgrading', model || '(default)', 'to', verdict.model);
+            return verdict.model;
+        }
+        return model;
+    }
+
+    // Strip the provider usage block from a reply and account for it;
+    // returns the normalized record
+    _recordUsage(reply, model) {
+        const raw = reply?.usage;
+        if (!raw) return null;
+        delete reply.usage;
+        const u = usage.normalize(raw, raw.model || model);
+        usage.add(this._usage, u);
+        if (this._onUsage)
+            this._onUsage(u);
+        return u;
+    }
+
+    // Report a lifecycle event to the owning Saico; listener errors are
+    // logged and do not affect the conversation
+    _emitEvent(type, data) {
+        if (!this._onEvent) return;
+        try {
+            this._onEvent(type, { tag: this.tag, ...data });
+        } catch (err) {
+            _lerr('Listener for event', type, 'failed:', err.message);
+        }
+    }
+
+    // Forward a tool-call progress event to the message's stream sink, if any
+    _streamToolEvent(opts, call, status, result) {
+        if (!opts?._onStream) return;
+        opts._onStream({
+            type: 'tool_call',
+            status,
+            id: call.id,
+            name: call.function.name,
+            arguments: call.function.arguments,
+            ...(result && { content: result.content }),
+        });
+    }
+
     _hasPendingToolCalls() {
         const toolCallMsgs = this._msgs.filter(m => m.msg.tool_calls);
 
@@ -251,6 +538,7 @@ class Msgs {
             if (this._shouldDropToolCall(toolName)) {
                 _log('Dropping excessive tool call:', toolName,
                     '(hit max_tool_repetition=' + this.max_tool_repetition + ')');
+                this._emitEvent('tool_dropped', { id: call.id, tool: toolName, reason: 'max_tool_repetition' });
                 return false;
             }
             return true;
@@ -283,44 +571,47 @@ class Msgs {
 
             const filteredToolCalls = this._filterExcessiveToolCalls(toolCalls);
 
-            let reply2 = {};
-            for (const [i, call] of filteredToolCalls.entries()) {
-                const toolName = call.function.name;
-                this._trackToolCall(toolName);
-
-                let result;
+            // Every call in a group shares the message that requested it
+            const origOpts = deferredGroup[0].originalMessage.opts;
+            const funcs = origOpts?._aggregatedFunctions;
+            const results = [];
+            const parked = new Set();
+            const toRun = [];
+            for (const call of filteredToolCalls) {
+                this._trackToolCall(call.function.name);
 
                 if (this._isDuplicateToolCall(call)) {
                     _log('Duplicate deferred tool call detected:', call.function.name);
-                    result = {
+                    results.push({
                         content: `Duplicate call detected. An identical "${call.function.name}" ` +
                             `tool call with the same arguments is already running.`,
                         functions: null
-                    };
-                } else {
+                    });
+                    continue;
+                }
+                if (this._requiresApproval(call.function.name, funcs))
+                    parked.add(results.length);
+                else {
                     this._trackActiveToolCall(call);
-                    const _snap = this._getSnapshot
-                        ? JSON.stringify(this._getSnapshot()) : null;
-
-                    try {
-                        const correspondingDeferred = deferredGroup.find(d => d.call.id === call.id);
-                        const timeout = correspondingDeferred?.originalMessage.opts.timeout;
-
-                        result = await this._executeToolCallWithTimeout(call, timeout);
-                        if (_snap !== null && _snap !== JSON.stringify(this._getSnapshot()))
-                            this._appendToolDigest(call.function.name, result?.content || '');
-                    } finally {
-                        this._completeActiveToolCall(call);
-                    }
+                    toRun.push(results.length);
                 }
+                results.push(null);
+            }
 
-                const correspondingDeferred = deferredGroup.find(d => d.call.id === call.id);
-                const opts = {
-                    name: call.function.name,
-                    tool_call_id: call.id,
-                    _recursive_depth: 1,
-                    model: correspondingDeferred?.originalMessage.opts.model
-                };
+            const ran = await this._runToolCalls(toRun.map(i => filteredToolCalls[i]), origOpts, funcs);
+            toRun.forEach((idx, j) => { results[idx] = ran[j]; });
+
+            if (parked.size > 0) {
+                const entry = this._msgs.find(m => m.msgid === msgid && m.msg.tool_calls);
+                const items = filteredToolCalls.map((call, i) => ({ call, result: results[i], parked: parked.has(i) }));
+                this._parkToolCalls(entry.msg, msgid, items, origOpts);
+                continue;
+            }
+
+            let reply2 = {};
+            for (const [i, call] of filteredToolCalls.entries()) {
+                const result = results[i];
+                const opts = this._toolResponseOpts(origOpts, call.function.name, call.id, 1, result);
                 const content = result ? (result.content || result) : '';
                 const functions = (i === filteredToolCalls.length - 1 && result && result.functions)
                     ? result.functions : null;
@@ -348,14 +639,25 @@ class Msgs {
         }
     }
 
-    push(msg) {
-        const m = {msg: msg.msg || msg, opts: msg.opts || {}, msgid: msg.msgid || 0, replied: msg.replied || 2};
-        return this._msgs.push(m);
+    /**
+     * Append a message (or a Q entry) as already replied. Pass { pinned: true }
+     * to keep it through queue slicing, summarization and storage.
+     */
+    push(msg, opts = {}) {
+        const pinned = opts.pinned || (msg.msg && msg.pinned);
+        const m = {msg: msg.msg || msg, opts: msg.opts || {}, msgid: msg.msgid || 0, replied: msg.replied || 2,
+            ...(msg.msg && msg.backend && {backend: true}), ...(pinned && {pinned: true})};
+        const length = this._msgs.push(m);
+        this._emitEvent('message', { msgid: m.msgid, message: m.msg });
+        return length;
     }
 
-    pushSummary(summary) {
+    pushSummary(summary, level) {
         const idx = this.push({role: 'user', content: '[SUMMARY]: ' + summary});
         this._msgs[idx - 1].opts.summary = true;
+        if (level)
+            this._msgs[idx - 1].opts.summary_level = level;
+        this._emitEvent('summary', { summary });
     }
 
     toJSON() {
@@ -394,11 +696,16 @@ class Msgs {
     }
 
     async serialize() {
-        const { chat_history, tool_digest } = await this.prepareForStorage();
+        const { chat_history, tool_digest, usage, pending_approvals, pinned, backend } =
+            await this.prepareForStorage();
         return JSON.stringify({
             tag: this.tag,
             chat_history,
             tool_digest,
+            usage,
+            pending_approvals,
+            pinned,
+            backend,
             functions: this.functions,
         });
     }
@@ -426,15 +733,18 @@ class Msgs {
             }
         }
 
+        if (this._summarizing)
+            await this._summarizing;
         await this._summarizeContext(true);
         _log('Finished closing Msgs tag', this.tag);
     }
 
 
-    // Remove tool-related messages tagged with a specific tag
+    // Remove tool-related messages tagged with a specific tag (pinned ones stay)
     cleanToolCallsByTag(tag) {
+        const pinned = this._pinnedEntries();
         this._msgs = this._msgs.filter(m => {
-            if (m.opts.tag !== tag)
+            if (m.opts.tag !== tag || pinned.has(m))
                 return true;
             if (m.msg.tool_calls)
                 return false;
@@ -444,34 +754,105 @@ class Msgs {
         });
     }
 
+    // Summarize the replied messages with the configured strategy (see
+    // summarize.js). The summary takes the place of the first message it
+    // replaces; pinned messages and messages awaiting a reply are left
+    // where they are.
     async _summarizeContext(close, targetCtx) {
-        const keep = this._msgs.filter(m => !close && m.summary);
-        const summarize = this._msgs.filter(m => (!close || !m.summary) && m.replied);
-        const not_replied = this._msgs.filter(m => !m.replied);
-        _ldbg('Start summarize messages. # messages', summarize.length, '(total msgs:', this._msgs.length + ')');
+        const pinned = this._pinnedEntries();
+        const entries = this._msgs.filter(m => m.replied && !pinned.has(m));
+        _ldbg('Start summarize messages. # messages', entries.length, '(total msgs:', this._msgs.length + ')');
 
-        if (!summarize.length) {
+        if (!entries.length) {
             _ldbg('[' + this.tag + '] No messages to summarize');
             return;
         }
 
-        const msgs = (close ? [{role: 'system', content: this.prompt}] : []).concat(summarize.map(m => m.msg));
-        const summary = await this._summarizeMessages(msgs);
-        this._msgs = keep;
+        const { strategy, options, prompt } = this.summarization;
+        const result = await strategy.summarize(entries, {
+            close: !!close,
+            options,
+            prompt: this._getSummaryPrompt?.() || prompt,
+            summarize: (msgs, instructions) => this._summarizeMessages(
+                (close ? [{role: 'system', content: this.prompt}] : []).concat(msgs),
+                instructions || this._getSummaryPrompt?.() || prompt || summarize.DEFAULT_PROMPT),
+            saveFacts: (facts) => this._saveFacts?.(facts),
+        });
+        if (!result?.consumed?.length) {
+            _ldbg('[' + this.tag + '] Nothing summarized by strategy', this.summarization.name);
+            return;
+        }
+
+        // Spliced into the current Q, so messages added while a background
+        // summary was made are kept
+        const consumed = new Set(result.consumed);
+        const at = Math.max(this._msgs.findIndex(m => consumed.has(m)), 0);
+        const remaining = this._msgs.filter(m => !consumed.has(m));
+        this._msgs = remaining.slice(0, at);
 
-        if (summary) {
+        if (result.summary) {
             if (close && targetCtx)
-                targetCtx.pushSummary(summary);
+                targetCtx.pushSummary(result.summary, result.level);
             else
-                this.pushSummary(summary);
+                this.pushSummary(result.summary, result.level);
         }
 
-        this._msgs.push(...not_replied);
+        this._msgs.push(...remaining.slice(at));
         _log('Summarized', this.tag, '(close', close + ') conversation to', util.countTokens(this.__msgs),
             'tokens # messages', this._msgs.length);
     }
 
-    async _summarizeMessages(msgs) {
+    /**
+     * Summarize before an LLM call when the outgoing queue (preamble, messages
+     * and function schemas) passes the auto_summarize threshold. Never in the
+     * middle of a tool-call round, whose messages must stay together. Inline
+     * mode waits for the summary and returns true so the queue is rebuilt;
+     * background mode lets the call go out as is. A failed summary is logged
+     * and the call proceeds. When a summary leaves the queue over the
+     * threshold (pinned messages, the preamble or the functions fill it), the
+     * next one waits until the queue has grown by AUTO_BACKOFF of the limit,
+     * so a summary is not requested before every call.
+     */
+    async _autoSummarize(Q, funcs, o) {
+        const auto = this.auto_summarize;
+        if (!auto || o.msg.role === 'tool' || this._hasPendingToolCalls())
+            return false;
+        if (this._summarizing) {
+            if (auto.mode === 'background')
+                return false;
+            await this._summarizing;
+            return true;
+        }
+        const model = this._chooseModel(o.opts);
+        const limit = Math.min(this.token_limit, this._windowLimit(model) ?? Infinity);
+        const threshold = auto.threshold <= 1 ? limit * auto.threshold : Math.min(auto.threshold, limit);
+        const size = util.countTokens(Q, model, funcs);
+        if (size <= threshold || !this._msgs.some(m => m.replied))
+            return false;
+        if (this._autoFloor !== null && size < this._autoFloor + limit * AUTO_BACKOFF) {
+            _ldbg('[' + this.tag + '] Outgoing queue has', size, 'tokens; the last summary left',
+                this._autoFloor + '. Not summarizing yet');
+            return false;
+        }
+
+        _log('[' + this.tag + '] Outgoing queue has', size, 'tokens, over', threshold + '. Summarizing',
+            auto.mode === 'inline' ? 'before the call' : 'in the background');
+        this._summarizing = this._summarizeContext()
+            .then(() => {
+                const left = util.countTokens(this._createMsgQ(o.opts?._preamble, false, o.opts?.tag), model, funcs);
+                this._autoFloor = left > threshold ? left : null;
+                if (this._autoFloor !== null)
+                    _log('[' + this.tag + '] Summary left', left, 'tokens, still over', threshold);
+            })
+            .catch(e => _lerr('[' + this.tag + '] Automatic summarization failed:', e.message))
+            .finally(() => { this._summarizing = null; });
+        if (auto.mode === 'background')
+            return false;
+        await this._summarizing;
+        return true;
+    }
+
+    async _summarizeMessages(msgs, instructions = summarize.DEFAULT_PROMPT) {
         let chunks = [msgs];
         const tokens = util.countTokens(chunks[0]);
 
@@ -511,12 +892,7 @@ class Msgs {
 
         _log('Summarizing messages. tokens', tokens, 'messages', msgs.length, 'using', chunks.length, 'chunks');
 
-        let reply = await openai.send([{role: 'system', content:
-            'Please summarize the following conversation. The summary should be one or two paragraphs as follows:' +
-            '- First paragraph: the purpose of the conversation and the outcome' +
-            '- Second paragraph (optional): next steps or pending requests that should be considered' +
-            '- Do not include system errors in the summary.\n' +
-            '- Formulate the summary from the AI agent\'s perspective\n' +
+        let reply = await this._requestSummary([{role: 'system', content: instructions +
             '\nConversation:\n' +
             (chunks.length > 1 ? 'The conversation will be uploaded in ' + chunks.length +
                 ' chunks. Wait for the last one then summarize all.\nChunk 1:\n'
@@ -524,21 +900,51 @@ class Msgs {
 
         let summary = reply.content;
         for (let i = 1; i < chunks.length; i++) {
-            reply = await openai.send([{role: 'system', content:
+            reply = await this._requestSummary([{role: 'system', content:
                 'Chunk ' + (i === chunks.length ? 'last' : i) + ':\n' + JSON.stringify(chunks[i])}]);
             summary = 'Summary of ' + this.tag + ' conversation:\n' + reply.content;
         }
         return summary;
     }
 
+    // Send a summary request (of the conversation or of a tool result) to the
+    // summary model. It goes through the middleware chain like any LLM call,
+    // with ctx.summary set (and ctx.tool for a tool result).
+    async _requestSummary(Q, ctx = {}) {
+        const provider = this._resolveProvider();
+        const model = routing.selectSummary(this._modelPolicy(), provider.model);
+        const { reply } = await this._requestThroughMiddleware(Q, null, null,
+            { tag: this.tag, msgs: this, summary: true, ...ctx },
+            async (Q) => {
+                const reply = await provider.send(Q, null, model, this._providerOpts({ summary: true }));
+                this._recordUsage(reply, model);
+                return { reply, model };
+            });
+        return reply;
+    }
+
+    /**
+     * Create and queue a message entry. User messages sent with opts.backend
+     * are marked as backend provenance and get the [BACKEND] prefix; any other
+     * user message, and every tool result, has the marker neutralized so it
+     * cannot pass as one.
+     * opts.pinned pins the message (see _pinnedEntries).
+     */
     _createMsgObj(role, content, functions, opts) {
         const name = opts?.name;
         const tool_call_id = opts?.tool_call_id;
+        const backend = role === 'user' && !!opts?.backend;
+        if (backend)
+            content = BACKEND_PREFIX + content;
+        else if (role === 'user' || role === 'tool')
+            content = neutralizeBackendMarker(content);
         const msg = { role, content, ...(name && { name }), ...(tool_call_id && { tool_call_id }) };
         const msgid = crypto.randomBytes(2).toString('hex');
-        const o = {msg, opts: opts || {}, functions, msgid, replied: 0};
+        const o = {msg, opts: opts || {}, functions, msgid, replied: 0, ...(backend && {backend}),
+            ...(opts?.pinned && {pinned: true})};
         this._msgs.forEach(m => m.opts.noreply ||= !m.replied);
         this._msgs.push(o);
+        this._emitEvent('message', { msgid, message: msg });
         return o;
     }
 
@@ -573,6 +979,145 @@ class Msgs {
         }
     }
 
+    // ---- Tool approvals ----
+
+    // A tool must be approved before it runs when its function definition sets requiresApproval
+    _requiresApproval(toolName, funcs) {
+        return !!this._findFunctionDef(toolName, funcs)?.requiresApproval;
+    }
+
+    /**
+     * Park the tool calls of `message` that need approval. The other calls
+     * have already run; their results are held with the parked calls until
+     * every parked call is resolved (see resolveToolApproval). Nothing is
+     * added to the queue meanwhile, so _hasPendingToolCalls() keeps new
+     * messages waiting.
+     * @param {Object} message - The assistant message with tool_calls
+     * @param {string} msgid
+     * @param {Array<{call, result, parked}>} items - In tool_calls order
+     * @param {Object} opts - Options of the message that started the chain
+     */
+    _parkToolCalls(message, msgid, items, opts) {
+        const group = {
+            msgid,
+            message: JSON.parse(JSON.stringify(message)),
+            opts: { model: opts?.model, responseSchema: opts?.responseSchema, timeout: opts?.timeout },
+            calls: [],
+            responses: [],
+        };
+        for (const { call, result, parked } of items) {
+            const response = { tool_call_id: call.id, name: call.function.name, content: null };
+            if (parked) {
+                group.calls.push({
+                    id: call.id,
+                    tool: call.function.name,
+                    arguments: call.function.arguments,
+                    requested_at: Date.now(),
+                });
+            } else {
+                response.content = result ? (result.content || result) : '';
+                if (result?.functions)
+                    response.functions = result.functions;
+                if (result?.pinned)
+                    response.pinned = true;
+            }
+            group.responses.push(response);
+        }
+        this.pending_approvals.push(group);
+
+        for (const pending of group.calls) {
+            _log('Tool call', pending.tool, pending.id, 'is waiting for approval');
+            if (this._onApprovalRequest)
+                this._onApprovalRequest(this._approvalRequest(pending));
+        }
+    }
+
+    _approvalRequest(pending) {
+        let args = pending.arguments;
+        try {
+            args = JSON.parse(args);
+        } catch (e) {
+            // keep the raw string
+        }
+        return { id: pending.id, tool: pending.tool, arguments: args, requested_at: pending.requested_at, tag: this.tag };
+    }
+
+    // Put a pending group's tool_calls message back into _msgs (e.g. after a
+    // restore, since prepareForStorage drops tool calls from chat_history)
+    _restoreApprovalMessage(group) {
+        const ids = new Set(group.message.tool_calls.map(c => c.id));
+        if (!this._msgs.some(m => m.msg.tool_calls?.some(c => ids.has(c.id))))
+            this._msgs.push({ msg: group.message, msgid: group.msgid, opts: {}, replied: 3 });
+    }
+
+    /**
+     * Tool calls waiting for approval:
+     * [{ id, tool, arguments, requested_at, tag }]
+     */
+    getPendingApprovals() {
+        return this.pending_approvals.flatMap(group => group.calls.map(c => this._approvalRequest(c)));
+    }
+
+    /**
+     * Resolve a parked tool call. An approved call runs now; a rejected one
+     * is answered with the reason instead. When it was the last parked call
+     * of its message, all the tool responses are added and the model is
+     * called again.
+     * @param {string} id - The tool_call id
+     * @param {Object} decision - { approved: boolean, reason?: string }
+     * @param {Object} [opts] - Options for the continuation (Saico passes its preamble and functions)
+     * @returns {Promise<Object|null>} The model's reply, or null while other calls of the message wait
+     */
+    async resolveToolApproval(id, decision, opts = {}) {
+        const group = this.pending_approvals.find(g => g.calls.some(c => c.id === id));
+        if (!group)
+            throw new Error('No pending approval for tool call ' + id);
+        group.calls = group.calls.filter(c => c.id !== id);
+        const call = group.message.tool_calls.find(c => c.id === id);
+        const response = group.responses.find(r => r.tool_call_id === id);
+
+        let result;
+        if (decision.approved) {
+            _log('Tool call', call.function.name, id, 'approved');
+            this._trackActiveToolCall(call);
+            [result] = await this._runToolCalls([call], { ...opts, timeout: group.opts.timeout },
+                opts._aggregatedFunctions);
+        } else {
+            _log('Tool call', call.function.name, id, 'rejected:', decision.reason || '');
+            result = {
+                content: `Tool call "${call.function.name}" was rejected and did not run` +
+                    (decision.reason ? `: ${decision.reason}` : '.'),
+                functions: null
+            };
+        }
+        response.content = result ? (result.content || result) : '';
+        if (result?.functions)
+            response.functions = result.functions;
+        if (result?.pinned)
+            response.pinned = true;
+
+        // Another call of the message is still parked or running
+        if (group.responses.some(r => r.content === null))
+            return null;
+
+        this.pending_approvals = this.pending_approvals.filter(g => g !== group);
+        this._restoreApprovalMessage(group);
+
+        const from = { ...group.opts, ...opts };
+        let reply = null;
+        for (const [i, r] of group.responses.entries()) {
+            const toolOpts = this._toolResponseOpts(from, r.name, r.tool_call_id, 1, r);
+            if (i === group.responses.length - 1)
+                reply = await this.sendMessage('tool', r.content, r.functions || null, toolOpts);
+            else {
+                const toolResponse = this._createMsgObj('tool', r.content, null, toolOpts);
+                toolResponse.replied = 1;
+                this._insertToolResponseAtCorrectPosition(toolResponse, r.tool_call_id);
+            }
+        }
+        return reply;
+    }
+
     _getToolCallKey(call) {
         return `${call.function.name}:${call.function.arguments}`;
     }
@@ -600,46 +1145,272 @@ class Msgs {
         }
     }
 
-    async _executeToolCallWithTimeout(call, customTimeoutMs = null) {
-        const timeoutMs = customTimeoutMs || 5000;
+    // Options for a tool response, carrying over what the chain started with
+    // (model, schema, stream sink, Saico preamble and functions), pinned when
+    // the tool result asks for it
+    _toolResponseOpts(from, name, tool_call_id, depth, result) {
+        return {
+            ...(result?.pinned && { pinned: true }),
+            name,
+            tool_call_id,
+            _recursive_depth: depth,
+            model: from?.model,
+            responseSchema: from?.responseSchema,
+            _onStream: from?._onStream,
+            _preamble: from?._preamble,
+            _aggregatedFunctions: from?._aggregatedFunctions,
+        };
+    }
 
-        return new Promise(async (resolve) => {
-            let timeoutId;
-            let completed = false;
+    _takeSnapshot() {
+        return this._getSnapshot ? JSON.stringify(this._getSnapshot()) : null;
+    }
 
-            timeoutId = setTimeout(() => {
-                if (!completed) {
-                    completed = true;
-                    _log('Tool call timed out after', timeoutMs + 'ms:', call.function.name);
-                    resolve({
-                        content: `Tool call "${call.function.name}" timed out after ${timeoutMs/1000} seconds.`,
-                        functions: null
-                    });
-                }
-            }, timeoutMs);
+    // The function definition for a tool in funcs (default: own functions)
+    _findFunctionDef(toolName, funcs) {
+        const def = (funcs || this.functions || []).find(f => (f.function?.name || f.name) === toolName);
+        return def ? (def.function || def) : null;
+    }
 
-            try {
-                const result = await this.interpretAndApplyChanges(call);
+    // A tool may run concurrently when its function definition sets parallelSafe
+    _isParallelSafe(toolName, funcs) {
+        return !!this._findFunctionDef(toolName, funcs)?.parallelSafe;
+    }
+
+    /**
+     * Execute tool calls (already tracked as active) and return their results
+     * in call order. Calls run one at a time unless parallel_tools is set; then
+     * each run of consecutive parallelSafe calls executes concurrently, at most
+     * tool_concurrency at a time, and any other call waits for everything
+     * before it and runs alone.
+     *
+     * Dirty detection: a call that runs alone owns every change between its
+     * before and after snapshots. Within a concurrent batch a change is
+     * attributed to the call whose completion first observes it, and digest
+     * entries are appended in call order once the batch is done.
+     */
+    async _runToolCalls(calls, opts, funcs) {
+        const results = new Array(calls.length).fill(null);
+
+        const batches = [];
+        for (const [i, call] of calls.entries()) {
+            const safe = this.parallel_tools && this._isParallelSafe(call.function.name, funcs);
+            const last = batches[batches.length - 1];
+            if (safe && last?.safe)
+                last.items.push(i);
+            else
+                batches.push({ safe, items: [i] });
+        }
+
+        for (const batch of batches) {
+            let snap = this._takeSnapshot();
+            const changed = new Set();
 
-                if (!completed) {
-                    completed = true;
-                    clearTimeout(timeoutId);
-                    resolve(result);
+            const run = async (i) => {
+                const call = calls[i];
+                const started = Date.now();
+                try {
+                    this._streamToolEvent(opts, call, 'started');
+                    this._emitEvent('tool_started', { id: call.id, tool: call.function.name,
+                        arguments: call.function.arguments });
+                    results[i] = await this._executeToolCallWithTimeout(call, opts?.timeout, funcs);
+                    this._streamToolEvent(opts, call, 'finished', results[i]);
+                    this._emitEvent('tool_finished', { id: call.id, tool: call.function.name,
+                        content: results[i]?.content, cached: !!results[i]?.cached,
+                        duration_ms: Date.now() - started });
+                } finally {
+                    this._completeActiveToolCall(call);
                 }
-            } catch (error) {
-                if (!completed) {
-                    completed = true;
-                    clearTimeout(timeoutId);
-                    _lerr('Tool call failed with error:', call.function.name, error.message);
-                    resolve({
-                        content: `Tool call "${call.function.name}" failed with error: ${error.message}`,
-                        functions: null
-                    });
+                const now = this._takeSnapshot();
+                if (snap !== null && now !== snap) {
+                    changed.add(i);
+                    snap = now;
                 }
+            };
+
+            const pending = [...batch.items];
+            const workers = Math.min(Math.max(1, this.tool_concurrency), pending.length);
+            if (workers > 1)
+                _log('Running', pending.length, 'tool calls concurrently, limit', workers);
+            await Promise.all(Array.from({ length: workers }, async () => {
+                while (pending.length > 0)
+                    await run(pending.shift());
+            }));
+
+            for (const i of batch.items) {
+                if (results[i]?.cached)
+                    this._appendToolDigest(calls[i].function.name, '[cache hit] ' + results[i].content);
+                else if (changed.has(i))
+                    this._appendToolDigest(calls[i].function.name, results[i]?.content || '');
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Run a tool call within its time limit, retrying failures. The function
+     * definition may set `timeout` (ms; else the message timeout, else 5s),
+     * `retries` (extra attempts after a thrown error or timeout) and
+     * `retryDelay` (ms between attempts). Each attempt gets its own
+     * AbortSignal, aborted on timeout or abortToolCalls().
+     */
+    async _executeToolCallWithTimeout(call, customTimeoutMs = null, funcs = null) {
+        const def = this._findFunctionDef(call.function.name, funcs);
+        const timeoutMs = def?.timeout || customTimeoutMs || 5000;
+        const retries = def?.retries || 0;
+
+        for (let attempt = 1; ; attempt++) {
+            const { result, failed } = await this._attemptToolCall(call, funcs, timeoutMs, attempt);
+            if (!failed) {
+                const { _cache, ...done } = result;
+                if (done.cached)
+                    return done;
+                const limited = await this._limitToolResult(call, done, funcs);
+                if (_cache)
+                    _cache.cache.set(_cache.key, { tool: _cache.tool, args: _cache.args,
+                        content: limited.content, functions: limited.functions }, _cache.ttl);
+                return limited;
             }
+            if (attempt > retries)
+                return result;
+            _log('Retrying tool call', call.function.name, `(${attempt}/${retries})`);
+            if (def.retryDelay)
+                await new Promise(resolve => setTimeout(resolve, def.retryDelay));
+        }
+    }
+
+    // One attempt of a tool call. Resolves with { result, failed }; failed is
+    // set for thrown errors and timeouts, which may be retried. A TOOL_ method
+    // that settles after its attempt was given up is recorded as a late result.
+    _attemptToolCall(call, funcs, timeoutMs, attempt) {
+        const toolName = call.function.name;
+        const controller = new AbortController();
+        this._tool_controllers.add(controller);
+
+        return new Promise((resolve) => {
+            let completed = false;
+            const finish = (result, failed = false) => {
+                completed = true;
+                clearTimeout(timeoutId);
+                controller.signal.removeEventListener('abort', onAbort);
+                this._tool_controllers.delete(controller);
+                resolve({ result, failed });
+            };
+
+            const timeoutId = setTimeout(() => {
+                if (completed) return;
+                _log('Tool call timed out after', timeoutMs + 'ms:', toolName);
+                this._emitEvent('tool_timeout', { id: call.id, tool: toolName, timeout: timeoutMs, attempt });
+                finish({
+                    content: `Tool call "${toolName}" timed out after ${timeoutMs/1000} seconds.`,
+                    functions: null
+                }, true);
+                controller.abort(new Error(`Tool call "${toolName}" timed out after ${timeoutMs}ms`));
+            }, timeoutMs);
+
+            // abortToolCalls(): give up on the call without retrying
+            const onAbort = () => {
+                if (completed) return;
+                const reason = controller.signal.reason?.message || 'cancelled';
+                _log('Tool call aborted:', toolName, reason);
+                finish({ content: `Tool call "${toolName}" was cancelled: ${reason}`, functions: null });
+            };
+            controller.signal.addEventListener('abort', onAbort);
+
+            this.interpretAndApplyChanges(call, funcs, { signal: controller.signal, attempt }).then(
+                (result) => {
+                    if (!completed)
+                        finish(result);
+                    else
+                        this._recordLateToolResult(call, result?.content);
+                },
+                (error) => {
+                    if (!completed) {
+                        _lerr('Tool call failed with error:', toolName, error.message);
+                        finish({
+                            content: `Tool call "${toolName}" failed with error: ${error.message}`,
+                            functions: null
+                        }, true);
+                    } else {
+                        this._recordLateToolResult(call, 'failed with error: ' + error.message);
+                    }
+                });
         });
     }
 
+    /**
+     * Reduce a tool result longer than its limit (the function's resultLimit,
+     * else tool_result_limit) with the limit's strategy, first stashing the
+     * full text when the limit asks for it.
+     */
+    async _limitToolResult(call, result, funcs) {
+        const toolName = call.function.name;
+        const content = result?.content;
+        const limit = results.normalize(this._findFunctionDef(toolName, funcs)?.resultLimit) ||
+            this.tool_result_limit;
+        if (!limit || typeof content !== 'string' || content.length <= limit.maxChars)
+            return result;
+
+        _log('Tool result of', toolName, 'has', content.length, 'chars; applying', limit.strategy,
+            'to', limit.maxChars);
+        let reduced;
+        if (limit.strategy === 'summarize')
+            reduced = await this._summarizeToolResult(toolName, content, limit.maxChars);
+        else if (limit.strategy === 'head_tail')
+            reduced = results.headTail(content, limit.maxChars);
+        else
+            reduced = results.truncate(content, limit.maxChars);
+
+        if (limit.stash) {
+            try {
+                const ref = this._stashToolResult
+                    ? await this._stashToolResult({ id: call.id, tool: toolName, content }, limit.stash)
+                    : null;
+                if (ref)
+                    reduced += results.stashNote(ref, content.length);
+                else
+                    _log('No stash available for the result of', toolName);
+            } catch (err) {
+                _lerr('Failed to stash the result of', toolName + ':', err.message);
+            }
+        }
+        return { ...result, content: reduced };
+    }
+
+    // Ask the LLM (summary model) to condense a tool result; truncates on failure
+    async _summarizeToolResult(toolName, content, maxChars) {
+        try {
+            const reply = await this._requestSummary([{ role: 'system', content:
+                `Summarize the following result of the tool "${toolName}" in at most ${maxChars} characters. ` +
+                'Keep identifiers, numbers and anything needed to act on it. Reply with the summary only.\n' +
+                '\nResult:\n' + content }], { tool: toolName });
+            if (reply?.content)
+                return results.truncate('[Summarized tool result] ' + reply.content, maxChars);
+        } catch (err) {
+            _lerr('Failed to summarize the result of', toolName + ':', err.message);
+        }
+        return results.truncate(content, maxChars);
+    }
+
+    // A tool finished after the model was told it timed out or was cancelled;
+    // its side effects may still have landed, so keep it in the tool digest
+    _recordLateToolResult(call, content) {
+        _log('Late tool result for', call.function.name, call.id);
+        this._appendToolDigest(call.function.name, '[late result, arrived after the call was given up] ' +
+            (content || ''));
+    }
+
+    /**
+     * Abort the signals of all TOOL_ calls running in this Q. Their calls
+     * resolve at once as cancelled; called when the owning task is cancelled
+     * or deactivated.
+     * @param {string} [reason='cancelled']
+     */
+    abortToolCalls(reason = 'cancelled') {
+        for (const controller of [...this._tool_controllers])
+            controller.abort(new Error(reason));
+    }
+
     _validateToolResponses(msgs) {
         const toolCallIds = new Set();
         const toolResponseIds = new Set();
@@ -692,9 +1463,42 @@ class Msgs {
         return validatedMsgs;
     }
 
+    /**
+     * The pinned entries of the Q: those pushed or sent with { pinned: true }
+     * and tool responses of TOOL_ methods that returned { content, pinned: true }.
+     * A tool call and its responses are only valid together, so pinning any of
+     * them pins the whole group. Pinned entries are always part of the queue,
+     * are left out of summarization and are kept by prepareForStorage.
+     * @returns {Set<Object>} The pinned _msgs entries
+     */
+    _pinnedEntries(entries = this._msgs) {
+        const pinned = new Set(entries.filter(m => m.pinned));
+        const ids = new Set();
+        for (const m of pinned) {
+            if (m.msg.tool_call_id)
+                ids.add(m.msg.tool_call_id);
+            for (const call of m.msg.tool_calls || [])
+                ids.add(call.id);
+        }
+        if (!ids.size)
+            return pinned;
+        for (const m of entries) {
+            if (m.msg.tool_calls?.some(call => ids.has(call.id))) {
+                pinned.add(m);
+                m.msg.tool_calls.forEach(call => ids.add(call.id));
+            }
+        }
+        for (const m of entries) {
+            if (m.msg.role === 'tool' && ids.has(m.msg.tool_call_id))
+                pinned.add(m);
+        }
+        return pinned;
+    }
+
     // Slice the last `limit` messages, walking back to avoid orphaning tool responses
     // and expanding if fewer than MIN_CHAT_MESSAGES user/assistant messages are included.
-    _getQueueSlice(msgs, limit) {
+    // Messages in `keep` (pinned) are included in place even when they are older.
+    _getQueueSlice(msgs, limit, keep) {
         if (msgs.length <= limit) return msgs;
 
         let startIdx = msgs.length - limit;
@@ -717,6 +1521,8 @@ class Msgs {
             if (role === 'user' || role === 'assistant') chatCount++;
         }
 
+        if (keep?.size)
+            return msgs.filter((m, i) => i >= startIdx || keep.has(m));
         return msgs.slice(startIdx);
     }
 
@@ -744,22 +1550,25 @@ class Msgs {
         }
 
         // Own messages — filter by tag if requested, then slice to QUEUE_LIMIT
-        // QUEUE_LIMIT only applies here — preamble is not counted
-        let my_msgs;
+        // QUEUE_LIMIT only applies here — preamble is not counted. Pinned
+        // messages pass both.
+        const pinned = this._pinnedEntries();
+        let my_entries = this._msgs;
         if (tag_filter !== undefined) {
-            my_msgs = this._msgs.filter(m => {
+            my_entries = this._msgs.filter(m => {
                 if (m.opts.summary) return true;
+                if (pinned.has(m)) return true;
                 if (m.opts.tag === tag_filter) return true;
                 return false;
-            }).map(m => m.msg);
-        } else {
-            my_msgs = this.__msgs;
+            });
         }
 
+        let my_msgs = my_entries.map(m => m.msg);
         if (add_tag)
             my_msgs = my_msgs.map(m => Object.assign({}, m, {tag: this.tag}));
+        const keep = new Set(my_msgs.filter((m, i) => pinned.has(my_entries[i])));
 
-        fullQueue.push(...this._getQueueSlice(my_msgs, this.QUEUE_LIMIT));
+        fullQueue.push(...this._getQueueSlice(my_msgs, this.QUEUE_LIMIT, keep));
 
         return this._validateToolResponses(fullQueue);
     }
@@ -770,6 +1579,9 @@ class Msgs {
 
         const isRecursiveCall = opts?._recursive_depth !== undefined;
 
+        if (opts?.responseSchema && !isRecursiveCall && !opts._structured)
+            return this._sendStructured(role, content, functions, opts);
+
         if (this._sequential_mode && this._processing_sequential && !isRecursiveCall) {
             _log('Sequential mode: queueing message:', role, content?.slice(0, 50));
             return new Promise((resolve, reject) => {
@@ -780,6 +1592,35 @@ class Msgs {
         return await this._sendMessageInternal(role, content, functions, opts);
     }
 
+    /**
+     * Structured output: send with opts.responseSchema, parse the reply as JSON
+     * and validate it. On a violation the model is re-asked with the errors,
+     * up to responseSchema.retries times (default 2), then StructuredOutputError
+     * is thrown. Resolves with a copy of the reply carrying `parsed`.
+     */
+    async _sendStructured(role, content, functions, opts) {
+        const format = schema.responseFormat(opts.responseSchema);
+        const sendOpts = Object.assign({}, opts, { responseSchema: format, _structured: true });
+
+        let reply = await this.sendMessage(role, content, functions, sendOpts);
+        for (let attempt = 1; ; attempt++) {
+            if (!reply || reply.queued)
+                return reply;
+            const { value, error } = schema.parseJson(reply.content);
+            const errors = error ? [error] : schema.formatErrors(schema.validate(value, format.schema));
+            if (!errors.length)
+                return Object.assign({}, reply, { parsed: value });
+            if (attempt > format.retries)
+                throw new schema.StructuredOutputError(`Reply does not match schema "${format.name}" after ` +
+                    `${attempt} attempts: ${errors.join('; ')}`, { errors, content: reply.content, attempts: attempt });
+
+            _log('Structured reply invalid (attempt', attempt + '):', errors.join('; '));
+            reply = await this.sendMessage('user', 'Your reply does not match the required JSON ' +
+                'schema:\n- ' + errors.join('\n- ') + '\nReply again with only the corrected JSON object.',
+                null, { ...sendOpts, backend: true });
+        }
+    }
+
     async _sendMessageInternal(role, content, functions, opts) {
         const isRecursiveCall = opts?._recursive_depth !== undefined;
 
@@ -867,10 +1708,14 @@ class Msgs {
                     : null;
             }
 
+            if (await this._autoSummarize(Q, funcs, o))
+                Q = this._createMsgQ(o.opts?._preamble, false, o.opts?.tag);
+
             if (debug)
                 this._debugQDump(Q, funcs);
 
-            const reply = await openai.send(Q, funcs, o.opts?.model);
+            const { reply, model } = await this._requestThroughMiddleware(Q, funcs, o.opts,
+                { tag: this.tag, msgid: o.msgid, depth, opts: o.opts, msgs: this });
 
             _log('@@@@@@@@@ [<<', o.msgid + (reply.tool_calls ? ' TC:' + (reply.tool_calls?.length || 0) : '') +
                 ' ] REPLY-AI', reply.role,
@@ -886,7 +1731,8 @@ class Msgs {
             if (o.opts?.debug_empty && !reply.content)
                 this._debugQDump(Q, o.functions);
 
-            this._msgs.push({msg: reply, msgid: o.msgid, opts: o.opts || {}, replied: 3});
+            this._msgs.push({msg: reply, msgid: o.msgid, opts: o.opts || {}, replied: 3, model});
+            this._emitEvent('message', { msgid: o.msgid, message: reply, model });
 
             let reply2 = {};
             if (reply?.tool_calls) {
@@ -923,6 +1769,7 @@ class Msgs {
                                 `tool call with the same arguments is already running.`,
                             functions: null
                         };
+                        this._streamToolEvent(o.opts, call, 'duplicate', result);
                         toolCallsWithResults.push({ call, result, isDuplicate: true });
                     } else {
                         this._trackActiveToolCall(call);
@@ -930,41 +1777,34 @@ class Msgs {
                     }
                 }
 
-                for (const { call, isDuplicate } of toolCallsWithResults) {
-                    if (!isDuplicate) {
-                        const _snap = this._getSnapshot
-                            ? JSON.stringify(this._getSnapshot()) : null;
-                        try {
-                            const result = await this._executeToolCallWithTimeout(
-                                call, o.opts?.timeout);
-                            const item = toolCallsWithResults.find(item => item.call.id === call.id);
-                            if (item) item.result = result;
-                            if (_snap !== null &&
-                                _snap !== JSON.stringify(this._getSnapshot()))
-                                this._appendToolDigest(call.function.name, result?.content || '');
-                        } finally {
-                            this._completeActiveToolCall(call);
-                        }
+                for (const item of toolCallsWithResults) {
+                    if (!item.isDuplicate && this._requiresApproval(item.call.function.name, funcs)) {
+                        item.parked = true;
+                        this._completeActiveToolCall(item.call);
                     }
                 }
 
-                for (const [i, { call, result }] of toolCallsWithResults.entries()) {
-                    const opts = {
-                        name: call.function.name,
-                        tool_call_id: call.id,
-                        _recursive_depth: depth + 1,
-                        model: o.opts?.model
-                    };
-                    const content = result ? (result.content || result) : '';
-                    const functions = (i === toolCallsWithResults.length - 1 && result && result.functions)
-                        ? result.functions : null;
-
-                    if (i === toolCallsWithResults.length - 1)
-                        reply2 = await this.sendMessage('tool', content, functions, opts);
-                    else {
-                        const toolResponse = this._createMsgObj('tool', content, null, opts);
-                        toolResponse.replied = 1;
-                        this._insertToolResponseAtCorrectPosition(toolResponse, call.id);
+                const toRun = toolCallsWithResults.filter(item => !item.isDuplicate && !item.parked);
+                const results = await this._runToolCalls(toRun.map(item => item.call), o.opts, funcs);
+                toRun.forEach((item, j) => { item.result = results[j]; });
+
+                if (toolCallsWithResults.some(item => item.parked))
+                    this._parkToolCalls(reply, o.msgid, toolCallsWithResults, o.opts);
+                else {
+                    for (const [i, { call, result }] of toolCallsWithResults.entries()) {
+                        const opts = this._toolResponseOpts(o.opts, call.function.name, call.id, depth + 1,
+                            result);
+                        const content = result ? (result.content || result) : '';
+                        const functions = (i === toolCallsWithResults.length - 1 && result && result.functions)
+                            ? result.functions : null;
+
+                        if (i === toolCallsWithResults.length - 1)
+                            reply2 = await this.sendMessage('tool', content, functions, opts);
+                        else {
+                            const toolResponse = this._createMsgObj('tool', content, null, opts);
+                            toolResponse.replied = 1;
+                            this._insertToolResponseAtCorrectPosition(toolResponse, call.id);
+                        }
                     }
                 }
             }
@@ -995,6 +1835,87 @@ class Msgs {
         }
     }
 
+    // ---- Middleware ----
+
+    // The middleware chain: the hierarchy's (via Saico), else this Q's own
+    _middlewareChain() {
+        return this._getMiddleware ? this._getMiddleware() : this._middleware;
+    }
+
+    /**
+     * Request the LLM through the middleware chain: beforeLLMRequest hooks in
+     * order may replace the queue or functions sent ({ queue, functions }) or
+     * answer without calling the LLM ({ reply }); afterLLMResponse hooks then
+     * run in reverse order and may replace the reply. `send` makes the call
+     * (default: _requestLLM) and resolves with { reply, model }.
+     */
+    async _requestThroughMiddleware(Q, funcs, opts, ctx, send = (Q, funcs) => this._requestLLM(Q, funcs, opts)) {
+        const chain = this._middlewareChain();
+        if (chain.length === 0)
+            return send(Q, funcs);
+
+        let reply = null;
+        let model;
+        for (const mw of chain) {
+            if (!mw.beforeLLMRequest) continue;
+            const change = await mw.beforeLLMRequest(Q, funcs, ctx);
+            if (change?.queue)
+                Q = change.queue;
+            if (change?.functions !== undefined)
+                funcs = change.functions;
+            if (change?.reply) {
+                _log('LLM request answered by middleware');
+                reply = typeof change.reply === 'string'
+                    ? { role: 'assistant', content: change.reply }
+                    : { role: 'assistant', ...change.reply };
+                break;
+            }
+        }
+        if (!reply)
+            ({ reply, model } = await send(Q, funcs));
+
+        ctx.model = model;
+        for (const mw of [...chain].reverse()) {
+            if (!mw.afterLLMResponse) continue;
+            const replaced = await mw.afterLLMResponse(reply, ctx);
+            if (replaced)
+                reply = replaced;
+        }
+        return { reply, model };
+    }
+
+    // ---- Tool result cache ----
+
+    // The cache for a tool's cacheScope: this Q, the Saico implementing the
+    // tool, or the process-wide cache (see cache.js)
+    _toolCacheFor(def, impl) {
+        const scope = toolCache.scopeOf(def);
+        if (scope === 'global')
+            return toolCache.globalCache;
+        if (scope === 'subtree' && impl.saico._tool_cache)
+            return impl.saico._tool_cache;
+        return this._tool_cache;
+    }
+
+    // Answer a call from the cache; counted in usage as tool_cache_hits and
+    // added to the tool digest by _runToolCalls
+    _toolCacheHit(toolName, hit) {
+        _log('Tool cache hit for', toolName);
+        const u = usage.cacheHit();
+        usage.add(this._usage, u);
+        if (this._onUsage)
+            this._onUsage(u);
+        return { content: hit.content, functions: hit.functions, cached: true };
+    }
+
+    /**
+     * Drop cached results of this Q for a tool (every tool when omitted),
+     * only those called with `args` when given. Returns the number removed.
+     */
+    invalidateToolCache(tool, args) {
+        return this._tool_cache.invalidate(tool, args);
+    }
+
     /**
      * Find a TOOL_<toolName> implementation. Delegates to _findToolImpl callback
      * set by Saico, which searches the hierarchy.
@@ -1003,14 +1924,70 @@ class Msgs {
         return this._findToolImpl ? this._findToolImpl(toolName) : null;
     }
 
-    async interpretAndApplyChanges(call) {
+    /**
+     * Run a tool call through the middleware chain: beforeToolCall hooks in
+     * order may replace the call ({ call }) or answer it ({ result }), then
+     * afterToolCall hooks in reverse order may replace the result. Results
+     * served from the tool cache already went through afterToolCall.
+     */
+    async interpretAndApplyChanges(call, funcs = null, context = {}) {
         if (!call)
             return { content: '', functions: null };
 
+        const chain = this._middlewareChain();
+        if (chain.length === 0)
+            return this._applyToolCall(call, funcs, context);
+
+        const ctx = { tag: this.tag, msgs: this, ...context };
+        let result = null;
+        for (const mw of chain) {
+            if (!mw.beforeToolCall) continue;
+            const change = await mw.beforeToolCall(call, ctx);
+            if (change?.call)
+                call = change.call;
+            if (change?.result !== undefined) {
+                _log('Tool call', call.function.name, 'answered by middleware');
+                result = toToolResult(change.result);
+                break;
+            }
+        }
+        if (!result)
+            result = await this._applyToolCall(call, funcs, context);
+        if (result.cached)
+            return result;
+
+        const { _cache, ...visible } = result;
+        let final = visible;
+        for (const mw of [...chain].reverse()) {
+            if (!mw.afterToolCall) continue;
+            const replaced = await mw.afterToolCall(call, final, ctx);
+            if (replaced !== undefined && replaced !== null)
+                final = toToolResult(replaced);
+        }
+        return _cache ? { ...final, _cache } : final;
+    }
+
+    /**
+     * Run a tool call: find its TOOL_ method, parse the arguments and, when
+     * the function definition in funcs declares parameters, validate them
+     * (after optional coercion). Invalid arguments are reported back to the
+     * model without invoking the tool. The method is called as
+     * TOOL_x(args, { signal, attempt }) with the context given here.
+     */
+    async _applyToolCall(call, funcs, context) {
+
         const toolName = call.function.name;
         _log('apply tool', toolName);
 
         const impl = this._findToolImplementation(toolName);
+        if (impl?.denied) {
+            _log('Tool call not permitted:', toolName, impl.denied);
+            return {
+                content: `Error: Tool "${toolName}" is not permitted here: ${impl.denied}. ` +
+                    'Do not call it again; continue without it.',
+                functions: null
+            };
+        }
         if (!impl) {
             _log('No TOOL_ method found for:', toolName);
             return {
@@ -1032,10 +2009,45 @@ class Msgs {
             };
         }
 
-        let result = await impl.saico[impl.methodName](parsedArgs);
+        const def = this._findFunctionDef(toolName, funcs);
+        const parameters = def?.parameters;
+        if (this.validate_tool_args && parameters) {
+            if (this.coerce_tool_args)
+                parsedArgs = schema.coerce(parsedArgs, parameters);
+            const errors = schema.validate(parsedArgs, parameters);
+            if (errors.length > 0) {
+                _log('Invalid arguments for tool', toolName + ':', schema.formatErrors(errors).join('; '));
+                return {
+                    content: `Error: Invalid arguments for tool "${toolName}"; it was not run. ` +
+                        'Fix these and call it again:\n' +
+                        JSON.stringify({ error: 'invalid_arguments', tool: toolName, errors }),
+                    functions: null
+                };
+            }
+        }
+
+        // Idempotent tools answer repeated calls from their cache
+        let cacheSlot = null;
+        if (def?.idempotent) {
+            cacheSlot = {
+                cache: this._toolCacheFor(def, impl),
+                key: this._getToolCallKey({
+                    function: { name: toolName, arguments: toolCache.canonical(parsedArgs) },
+                }),
+                tool: toolName,
+                args: parsedArgs,
+                ttl: def.cacheTtl,
+            };
+            const hit = cacheSlot.cache.get(cacheSlot.key);
+            if (hit)
+                return this._toolCacheHit(toolName, hit);
+        }
+
+        let result = await impl.saico[impl.methodName](parsedArgs, context);
 
         let content = result?.content || result || '';
         let functions = result?.functions || null;
+        const pinned = !!result?.pinned;
 
         if (content && typeof content !== 'string')
             content = JSON.stringify(content);
@@ -1046,11 +2058,54 @@ class Msgs {
 
         _log('FUNCTION RESULT', toolName, call.id, content.substring(0, 50) + '...',
             functions ? 'with functions' : 'no functions');
-        return { content, functions };
+        // The result is cached by _executeToolCallWithTimeout once it is final
+        const done = { content, functions, ...(pinned && { pinned }) };
+        return cacheSlot ? { ...done, _cache: cacheSlot } : done;
     }
 
 }
 
+// A tool result given by middleware: a string or { content, functions }
+function toToolResult(value) {
+    if (typeof value === 'string')
+        return { content: value, functions: null };
+    return { content: value?.content ?? '', functions: value?.functions || null,
+        ...(value?.pinned && { pinned: true }) };
+}
+
+// Split queue messages into the units a request keeps or leaves out whole:
+// an assistant tool_calls message with the tool responses after it, or a
+// single message
+function toolRounds(msgs) {
+    const units = [];
+    for (const m of msgs) {
+        const last = units[units.length - 1];
+        if (m.role === 'tool' && last?.[0].tool_calls)
+            last.push(m);
+        else
+            units.push([m]);
+    }
+    return units;
+}
+
+// Make a [BACKEND] marker in user input or tool output inert. Content
+// without one is returned untouched; content with one is returned folded,
+// with the marker rewritten. Look-alike letters are only read as Latin to
+// find markers; the rest of the text keeps them.
+function neutralizeBackendMarker(content) {
+    if (typeof content !== 'string')
+        return content;
+    const folded = content.normalize('NFKC').replace(INVISIBLE, '');
+    const skeleton = folded.replace(CONFUSABLE, c => CONFUSABLE_LATIN.get(c));
+    let neutral = '';
+    let last = 0;
+    for (const m of skeleton.matchAll(BACKEND_MARKER)) {
+        neutral += folded.slice(last, m.index) + '(user text: BACKEND)';
+        last = m.index + m[0].length;
+    }
+    return last ? neutral + folded.slice(last) : content;
+}
+
 // Factory function to create a Msgs instance with Proxy wrapper
 function createMsgs(prompt, config = {}) {
     const instance = new Msgs(prompt, config);
@@ -1102,4 +2157,4 @@ function createMsgs(prompt, config = {}) {
     });
 }
 
-module.exports = { Msgs, createMsgs };
+module.exports = { Msgs, createMsgs, neutralizeBackendMarker };
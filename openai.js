@@ -1,72 +1,137 @@
 const OpenAI = require('openai');
+const { withRetry, resolvePolicy, LLMError } = require('./retry.js');
+const usage = require('./usage.js');
 
+// Retries are handled by retry.js, not by the SDK
 const openai = new OpenAI({
-	apiKey: process.env.OPENAI_API_KEY||'test'
+	apiKey: process.env.OPENAI_API_KEY||'test',
+	maxRetries: 0
 });
 
+let retryPolicy = null;
+
 module.exports = {
 	send,
+	stream,
+	setRetryPolicy,
+	client: openai,
+	// Default model when neither the caller nor a Saico model policy names one
+	model: 'gpt-5-mini',
 };
 
-async function send(messages, functions, model) {
-	let data;
-	let retries = 5;
-	
-	// Convert functions to tools format if provided
-	let tools;
-	if (functions && functions.length > 0) {
-		tools = functions.map(func => ({
-			type: 'function',
-			function: func
-		}));
-	}
-	
-	while (--retries)
-	{
-		try {
-			const requestParams = {
-				model: model || 'gpt-5-mini',
-				messages
-			};
-			
-			if (tools) {
-				requestParams.tools = tools;
-			}
-			
-			data = await openai.chat.completions.create(requestParams);
-			break;
-		} catch (error) {
-			// Check if the status code is 429
-			if (error.status == 429)
-			{
-				console.error("Error 429: Too Many Requests");
-				console.error("Message:", error.message);
-				const errorMessage = error.message || '';
-
-				const waitTimeMatch = errorMessage.match(/Please try again in (\d+(\.\d+)?)(ms|s)/);
-
-				if (waitTimeMatch)
-				{
-					let waitTime = parseFloat(waitTimeMatch[1]);
-					if (waitTimeMatch[3] === 's')
-						waitTime *= 1000; // Convert seconds to milliseconds
-					console.error(`Rate limit reached. Retrying in ${waitTime}ms...`);
-					await new Promise(resolve => setTimeout(resolve, waitTime+100));
-				} else {
-					console.error('Rate limit error encountered, but could not extract wait time. Aborting.');
-					console.error('messages:\n', JSON.stringify(messages));
-					throw error; // Exit if wait time cannot be extracted
-				}
-			} else {
-				console.error(`Unexpected Error ${error.status}: ${error.message}`);
-				throw error;
-			}
+// Set the module-level retry policy (overrides retry.DEFAULT_POLICY).
+// Per-call overrides come from opts.retry.
+function setRetryPolicy(policy) {
+	retryPolicy = policy || null;
+}
+
+// Fields of a function definition the API accepts; saico-specific flags
+// such as parallelSafe stay local.
+const FUNCTION_FIELDS = ['name', 'description', 'parameters', 'strict'];
+
+// Convert functions to tools format if provided
+function toTools(functions) {
+	if (!functions || functions.length === 0)
+		return undefined;
+	return functions.map(func => {
+		const def = func.function || func;
+		const fn = {};
+		for (const field of FUNCTION_FIELDS) {
+			if (def[field] !== undefined)
+				fn[field] = def[field];
 		}
+		return { type: 'function', function: fn };
+	});
+}
+
+function create(requestParams, opts = {}) {
+	const policy = resolvePolicy(retryPolicy, opts.retry);
+	return withRetry((attempt, { timeout }) =>
+		openai.chat.completions.create(requestParams, timeout ? { timeout } : undefined),
+		policy, 'OpenAI request');
+}
+
+async function send(messages, functions, model, opts = {}) {
+	const requestParams = {
+		model: model || module.exports.model,
+		messages
+	};
+
+	const tools = toTools(functions);
+	if (tools) {
+		requestParams.tools = tools;
 	}
+	if (opts.response_schema)
+		requestParams.response_format = { type: 'json_schema', json_schema: opts.response_schema };
+
+	const data = await create(requestParams, opts);
 
 	if (!data || !data.choices || !data.choices.length)
-		return console.error('failed to receive response\n', data);
-	return data.choices[0].message;
+		throw new LLMError('OpenAI returned no choices');
+	const message = data.choices[0].message;
+	if (data.choices[0].finish_reason)
+		message.finish_reason = data.choices[0].finish_reason;
+	if (data.usage)
+		message.usage = usage.normalize(data.usage, data.model || requestParams.model);
+	return message;
 }
 
+// Streaming variant of send(). Calls opts.onDelta for each content delta and
+// tool-call fragment, and resolves with the fully assembled assistant message.
+async function stream(messages, functions, model, opts = {}) {
+	const onDelta = opts.onDelta || (() => {});
+	const requestParams = {
+		model: model || module.exports.model,
+		messages,
+		stream: true,
+		stream_options: { include_usage: true }
+	};
+
+	const tools = toTools(functions);
+	if (tools) {
+		requestParams.tools = tools;
+	}
+	if (opts.response_schema)
+		requestParams.response_format = { type: 'json_schema', json_schema: opts.response_schema };
 
+	const response = await create(requestParams, opts);
+
+	const message = { role: 'assistant', content: '' };
+	const toolCalls = [];
+	for await (const chunk of response) {
+		// With include_usage the last chunk carries usage and no choices
+		if (chunk.usage)
+			message.usage = usage.normalize(chunk.usage, chunk.model || requestParams.model);
+		if (chunk.choices?.[0]?.finish_reason)
+			message.finish_reason = chunk.choices[0].finish_reason;
+		const delta = chunk.choices?.[0]?.delta;
+		if (!delta)
+			continue;
+		if (delta.content) {
+			message.content += delta.content;
+			onDelta({ type: 'content', delta: delta.content });
+		}
+		for (const tc of delta.tool_calls || []) {
+			const call = toolCalls[tc.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+			if (tc.id)
+				call.id = tc.id;
+			if (tc.function?.name)
+				call.function.name += tc.function.name;
+			if (tc.function?.arguments)
+				call.function.arguments += tc.function.arguments;
+			onDelta({
+				type: 'tool_call_delta',
+				index: tc.index,
+				id: call.id,
+				name: call.function.name,
+				delta: tc.function?.arguments || ''
+			});
+		}
+	}
+
+	if (toolCalls.length)
+		message.tool_calls = toolCalls.filter(Boolean);
+	if (!message.content)
+		message.content = null;
+	return message;
+}
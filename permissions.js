@@ -0,0 +1,108 @@
+'use strict';
+
+/**
+ * permissions — tool permission policies for the Saico hierarchy.
+ *
+ *     toolPolicy: {
+ *         allow: ['search_*', 'get_weather'],    // tools this Saico and its subtree may call
+ *         deny: ['charge_card'],                 // tools they may never call (wins over allow)
+ *         resolve: ['self', 'ancestors'],        // where calls made here may find TOOL_ methods
+ *         share: { descendants: ['search_*'], ancestors: false },  // who may run this Saico's TOOL_ methods
+ *     }
+ *
+ * Every field is optional and a missing policy permits everything.
+ * allow/deny are inherited: a tool is permitted only if every policy from the
+ * root down to the calling Saico permits it (isolate does not stop this).
+ * resolve and share apply to the Saico that declares them. Patterns are tool
+ * names in which `*` matches any run of characters.
+ */
+
+const POSITIONS = ['self', 'ancestors', 'descendants'];
+
+function toList(value, field) {
+    if (typeof value === 'string') return [value];
+    if (!Array.isArray(value))
+        throw new Error(`toolPolicy.${field} must be a tool name pattern or an array of them`);
+    return value;
+}
+
+/**
+ * Validate a tool policy. Returns a normalized copy, or null when none is given.
+ */
+function normalize(policy) {
+    if (!policy) return null;
+    const out = {};
+    for (const field of ['allow', 'deny']) {
+        if (policy[field] !== undefined)
+            out[field] = toList(policy[field], field);
+    }
+    if (policy.resolve !== undefined) {
+        out.resolve = toList(policy.resolve, 'resolve');
+        const unknown = out.resolve.filter(p => !POSITIONS.includes(p));
+        if (unknown.length > 0)
+            throw new Error('Unknown toolPolicy.resolve position: ' + unknown.join(', '));
+    }
+    if (policy.share !== undefined) {
+        out.share = {};
+        for (const [relation, rule] of Object.entries(policy.share)) {
+            if (relation !== 'ancestors' && relation !== 'descendants')
+                throw new Error('Unknown toolPolicy.share relation: ' + relation);
+            out.share[relation] = typeof rule === 'boolean' ? rule : toList(rule, 'share.' + relation);
+        }
+    }
+    return out;
+}
+
+function matches(patterns, name) {
+    return patterns.some(pattern => {
+        if (!pattern.includes('*'))
+            return pattern === name;
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp('^' + source + '$').test(name);
+    });
+}
+
+/**
+ * Check a tool against the allow/deny rules of a chain of Saico instances.
+ * @param {Array<{name: string, toolPolicy: Object}>} chain - Root first
+ * @param {string} tool
+ * @returns {string|null} Why the tool is not permitted, or null
+ */
+function check(chain, tool) {
+    for (const saico of chain) {
+        const policy = saico.toolPolicy;
+        if (!policy) continue;
+        if (policy.deny && matches(policy.deny, tool))
+            return `"${tool}" is denied by the tool policy of ${saico.name}`;
+        if (policy.allow && !matches(policy.allow, tool))
+            return `"${tool}" is not among the tools allowed by ${saico.name}`;
+    }
+    return null;
+}
+
+/**
+ * May calls made by a Saico with this policy use TOOL_ methods found at
+ * `position` ('self', 'ancestors' or 'descendants')?
+ */
+function canResolve(policy, position) {
+    return !policy?.resolve || policy.resolve.includes(position);
+}
+
+/**
+ * Does a Saico with this policy let callers in `relation` ('ancestors' or
+ * 'descendants') run its TOOL_<tool> method?
+ */
+function shares(policy, relation, tool) {
+    const rule = policy?.share?.[relation];
+    if (rule === undefined || rule === true) return true;
+    if (rule === false) return false;
+    return matches(rule, tool);
+}
+
+module.exports = {
+    normalize,
+    matches,
+    check,
+    canResolve,
+    shares,
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * providers — LLM provider registry.
+ *
+ * A provider is any object implementing
+ *
+ *     send(messages, functions, model, opts) => Promise<message>
+ *
+ * where `messages` is the OpenAI-shaped chat queue built by Msgs, `functions`
+ * is an array of function schemas (or null), and the resolved value is a
+ * single assistant message: { role, content, tool_calls?, usage? }. `usage`
+ * is the token usage of the call (see usage.js); Msgs strips it before the
+ * message enters the queue. `opts` carries request context: { tag } (the Msgs
+ * tag), `summary: true` for summarization requests, `retry` overrides and
+ * `response_schema` ({ name, schema, strict }) when structured output is
+ * requested.
+ *
+ * The OpenAI chat-completions wrapper (openai.js) is registered as 'openai'
+ * and is the library-level default. The Anthropic Messages API provider
+ * (anthropic.js, default config) is registered as 'anthropic'. Saico
+ * instances may override the default per subtree via opt.provider (see
+ * Saico._getProvider).
+ */
+
+const _providers = new Map();
+let _defaultName = 'openai';
+
+function register(name, provider) {
+    if (!name || typeof name !== 'string')
+        throw new Error('Provider name must be a non-empty string');
+    if (!provider || typeof provider.send !== 'function')
+        throw new Error(`Provider "${name}" must implement send()`);
+    _providers.set(name, provider);
+    return provider;
+}
+
+function unregister(name) {
+    if (name === _defaultName)
+        throw new Error(`Cannot unregister the default provider "${name}"`);
+    return _providers.delete(name);
+}
+
+function get(name) {
+    return _providers.get(name) || null;
+}
+
+function list() {
+    return [..._providers.keys()];
+}
+
+function setDefault(name) {
+    if (!_providers.has(name))
+        throw new Error('Unknown provider: ' + name);
+    _defaultName = name;
+}
+
+function getDefault() {
+    return _providers.get(_defaultName);
+}
+
+/**
+ * Resolve a provider reference: an object implementing send(), the name of a
+ * registered provider, or nothing (library default).
+ */
+function resolve(ref) {
+    if (!ref)
+        return getDefault();
+    if (typeof ref === 'string') {
+        const provider = _providers.get(ref);
+        if (!provider)
+            throw new Error('Unknown provider: ' + ref);
+        return provider;
+    }
+    if (typeof ref.send === 'function')
+        return ref;
+    throw new Error('Invalid provider: expected a registered name or an object with send()');
+}
+
+register('openai', require('./openai.js'));
+register('anthropic', require('./anthropic.js').createAnthropicProvider());
+
+module.exports = {
+    register,
+    unregister,
+    get,
+    list,
+    setDefault,
+    getDefault,
+    resolve,
+};
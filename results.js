@@ -0,0 +1,86 @@
+'use strict';
+
+/**
+ * results — size limits for tool results before they enter the message Q.
+ *
+ *     resultLimit: {
+ *         maxChars: 4000,          // results longer than this are reduced
+ *         strategy: 'head_tail',   // 'truncate' (default), 'head_tail' or 'summarize'
+ *         stash: 'userData',       // keep the full result: 'userData' or 'db' (default: not kept)
+ *     }
+ *
+ * A number is shorthand for { maxChars }. 'summarize' asks the LLM for a
+ * summary of at most maxChars and falls back to 'truncate' when that fails.
+ *
+ * Results stashed in userData are kept within USERDATA_STASH_CHARS in total,
+ * the oldest dropped first, since userData is saved with the instance.
+ */
+
+const STRATEGIES = ['truncate', 'head_tail', 'summarize'];
+const STASHES = ['userData', 'db'];
+const USERDATA_STASH_CHARS = 200000;
+
+/**
+ * Validate a result limit. Returns a normalized copy, or null when none is given.
+ */
+function normalize(limit) {
+    if (limit === undefined || limit === null || limit === false) return null;
+    if (typeof limit === 'number') limit = { maxChars: limit };
+    if (!(limit.maxChars > 0))
+        throw new Error('resultLimit.maxChars must be a positive number');
+    const strategy = limit.strategy || 'truncate';
+    if (!STRATEGIES.includes(strategy))
+        throw new Error('Unknown resultLimit.strategy: ' + strategy);
+    if (limit.stash && !STASHES.includes(limit.stash))
+        throw new Error('Unknown resultLimit.stash: ' + limit.stash);
+    return { maxChars: limit.maxChars, strategy, stash: limit.stash || null };
+}
+
+// Keep the first maxChars characters
+function truncate(content, maxChars) {
+    if (content.length <= maxChars) return content;
+    return content.slice(0, maxChars) +
+        `\n[... truncated: ${content.length - maxChars} of ${content.length} characters omitted]`;
+}
+
+// Keep the first and last maxChars/2 characters
+function headTail(content, maxChars) {
+    if (content.length <= maxChars) return content;
+    const head = Math.ceil(maxChars / 2);
+    const tail = maxChars - head;
+    return content.slice(0, head) +
+        `\n[... ${content.length - maxChars} of ${content.length} characters omitted ...]\n` +
+        (tail > 0 ? content.slice(-tail) : '');
+}
+
+// Note appended to a reduced result whose full text was stashed
+function stashNote(ref, length) {
+    return `\n[The full result (${length} characters) is stored as "${ref}".]`;
+}
+
+/**
+ * Drop the oldest records of a userData stash ({ ref: { content, tm, ... } })
+ * until their content fits in maxChars. The newest record is always kept.
+ * Returns a new object.
+ */
+function trimStash(stash, maxChars = USERDATA_STASH_CHARS) {
+    const records = Object.values(stash).sort((a, b) => b.tm - a.tm);
+    const kept = {};
+    let total = 0;
+    for (const [i, record] of records.entries()) {
+        total += record.content.length;
+        if (i > 0 && total > maxChars) break;
+        kept[record.id] = record;
+    }
+    return kept;
+}
+
+module.exports = {
+    STRATEGIES,
+    USERDATA_STASH_CHARS,
+    normalize,
+    truncate,
+    headTail,
+    stashNote,
+    trimStash,
+};
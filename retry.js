@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * retry — retry/backoff policy and typed errors for LLM calls.
+ *
+ * withRetry(fn, policy) runs fn(attempt, { timeout }) until it succeeds, the
+ * error is not retryable, the retries are exhausted or the per-call deadline
+ * passes. Delays grow exponentially with jitter; a server-provided
+ * retry-after (header or "Please try again in Xs" message) takes precedence.
+ *
+ * Every failure surfaces as an LLMError (or subclass) so Msgs.sendMessage
+ * callers can catch on type:
+ *   LLMError               — non-retryable failure (the original error is `cause`)
+ *   LLMRetryExhaustedError — still failing after policy.retries retries
+ *   LLMDeadlineError       — policy.deadline (ms, across all attempts) ran out
+ */
+
+const util = require('./util.js');
+
+const { _lerr } = util;
+
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+    'ECONNABORTED', 'ENETUNREACH', 'UND_ERR_SOCKET']);
+
+const DEFAULT_POLICY = {
+    retries: 4,             // retries after the first attempt
+    base_delay: 500,        // ms before the first retry
+    factor: 2,              // exponential growth per retry
+    max_delay: 30000,       // cap for a single delay
+    jitter: 0.2,            // 0..1 — fraction of each delay randomized away
+    deadline: 0,            // ms for the whole call, all attempts included (0 = none)
+    retryable: isRetryable, // (err) => boolean
+};
+
+class LLMError extends Error {
+    constructor(message, opt = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = opt.status ?? opt.cause?.status;
+        this.code = opt.code ?? opt.cause?.code;
+        this.attempts = opt.attempts || 1;
+        if (opt.cause) this.cause = opt.cause;
+    }
+}
+
+class LLMRetryExhaustedError extends LLMError {
+    constructor(message, opt) {
+        super(message, opt);
+        this.name = 'LLMRetryExhaustedError';
+    }
+}
+
+class LLMDeadlineError extends LLMError {
+    constructor(message, opt) {
+        super(message, opt);
+        this.name = 'LLMDeadlineError';
+    }
+}
+
+// Classify an error as transient: rate limits, 5xx/overload, timeouts and
+// connection resets. A 429 for an exhausted quota is permanent.
+function isRetryable(err) {
+    if (!err) return false;
+    if (err.code === 'insufficient_quota' || err.error?.code === 'insufficient_quota')
+        return false;
+    if (err.status && RETRYABLE_STATUS.has(Number(err.status)))
+        return true;
+    if (err.code && RETRYABLE_CODES.has(err.code))
+        return true;
+    if (err.cause && err.cause !== err && !err.status)
+        return isRetryable(err.cause);
+    // openai SDK: APIConnectionError / APIConnectionTimeoutError carry no status
+    return !err.status && /APIConnection|Timeout/.test(err.name || err.constructor?.name || '');
+}
+
+// Server-requested wait in ms, from retry-after-ms / retry-after headers or
+// the "Please try again in 1.5s" text OpenAI puts in 429 messages.
+function retryAfterMs(err) {
+    const headers = err?.headers;
+    const get = (name) => {
+        if (!headers) return undefined;
+        if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+        return headers[name];
+    };
+
+    const ms = parseFloat(get('retry-after-ms'));
+    if (!isNaN(ms)) return ms;
+
+    const after = get('retry-after');
+    if (after !== undefined) {
+        const secs = parseFloat(after);
+        if (!isNaN(secs)) return secs * 1000;
+        const date = Date.parse(after);
+        if (!isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const match = (err?.message || '').match(/Please try again in (\d+(\.\d+)?)(ms|s)/);
+    if (match)
+        return parseFloat(match[1]) * (match[3] === 's' ? 1000 : 1);
+    return undefined;
+}
+
+function backoffDelay(retry, policy) {
+    const raw = Math.min(policy.max_delay, policy.base_delay * Math.pow(policy.factor, retry));
+    return Math.round(raw * (1 - policy.jitter * Math.random()));
+}
+
+function resolvePolicy(...overrides) {
+    return Object.assign({}, DEFAULT_POLICY, ...overrides.filter(Boolean));
+}
+
+/**
+ * Run fn with the retry policy.
+ * @param {Function} fn - async (attempt, { timeout }) => result; timeout is
+ *   the time left before the deadline (undefined when there is none)
+ * @param {Object} [policy] - Overrides for DEFAULT_POLICY
+ * @param {string} [label='LLM request'] - Used in log and error messages
+ */
+async function withRetry(fn, policy, label = 'LLM request') {
+    policy = resolvePolicy(policy);
+    const start = Date.now();
+    const remaining = () => policy.deadline ? policy.deadline - (Date.now() - start) : undefined;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt, { timeout: remaining() });
+        } catch (err) {
+            if (err instanceof LLMError)
+                throw err;
+            if (!policy.retryable(err))
+                throw new LLMError(err.message || String(err), { cause: err, attempts: attempt });
+            if (attempt > policy.retries)
+                throw new LLMRetryExhaustedError(`${label} failed after ${attempt} attempts: ${err.message}`,
+                    { cause: err, attempts: attempt });
+
+            const delay = retryAfterMs(err) ?? backoffDelay(attempt - 1, policy);
+            const left = remaining();
+            if (left !== undefined && delay >= left)
+                throw new LLMDeadlineError(`${label} deadline of ${policy.deadline}ms exceeded ` +
+                    `after ${attempt} attempts: ${err.message}`, { cause: err, attempts: attempt });
+
+            _lerr(`${label} failed (${err.status || err.code || err.name}: ${err.message}). ` +
+                `Retry ${attempt}/${policy.retries} in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    LLMError,
+    LLMRetryExhaustedError,
+    LLMDeadlineError,
+    isRetryable,
+    retryAfterMs,
+    resolvePolicy,
+    withRetry,
+};
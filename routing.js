@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * routing — model selection policies.
+ *
+ * A model spec is either a model name or a policy object:
+ *
+ *     {
+ *         default: 'gpt-5-mini',                     // regular calls
+ *         summary: 'gpt-5-nano',                     // _summarizeMessages
+ *         escalate: { after: 3, model: 'gpt-5' },    // from the Nth tool-call round on
+ *         fallbacks: ['gpt-4o-mini'],                // tried in order when a call fails
+ *     }
+ *
+ * Saico merges the specs of its ancestors root-first, field by field, so a
+ * child that only sets `model: 'gpt-5'` keeps the summary model and the
+ * fallbacks declared above it (see Saico._getModelPolicy).
+ */
+
+const FIELDS = ['default', 'summary', 'escalate', 'fallbacks'];
+
+/**
+ * Normalize a model spec (name or policy) into a policy object.
+ */
+function normalize(spec) {
+    if (!spec) return {};
+    if (typeof spec === 'string') return { default: spec };
+    const policy = {};
+    for (const field of FIELDS) {
+        if (spec[field] !== undefined)
+            policy[field] = spec[field];
+    }
+    if (policy.escalate && (!policy.escalate.model || !(policy.escalate.after >= 0)))
+        throw new Error('Model policy escalate requires { after, model }');
+    if (policy.fallbacks && !Array.isArray(policy.fallbacks))
+        policy.fallbacks = [policy.fallbacks];
+    return policy;
+}
+
+/**
+ * Merge specs left to right; later fields win.
+ */
+function merge(...specs) {
+    return Object.assign({}, ...specs.map(normalize));
+}
+
+/**
+ * Pick the model for a chat call.
+ * @param {Object} policy - Normalized policy
+ * @param {Object} call
+ * @param {string} [call.requested] - Per-message opts.model
+ * @param {number} [call.rounds=0] - Tool-call rounds completed in this chain
+ * @param {string} [call.fallback] - Provider default when nothing else applies
+ * @returns {string|undefined}
+ */
+function select(policy, call = {}) {
+    const escalate = policy.escalate;
+    if (escalate && (call.rounds || 0) >= escalate.after)
+        return escalate.model;
+    return call.requested || policy.default || call.fallback;
+}
+
+/**
+ * The model for summarization requests.
+ */
+function selectSummary(policy, fallback) {
+    return policy.summary || policy.default || fallback;
+}
+
+/**
+ * The chosen model followed by the policy fallbacks, without repeats.
+ */
+function candidates(policy, model) {
+    return [model, ...(policy.fallbacks || []).filter(m => m !== model)];
+}
+
+module.exports = {
+    normalize,
+    merge,
+    select,
+    selectSummary,
+    candidates,
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * schema — JSON Schema validation and structured output helpers.
+ *
+ * validate(value, schema) checks a value against the subset of JSON Schema
+ * that function and response schemas use in practice:
+ *
+ *   type (incl. arrays of types and 'integer'), enum, const,
+ *   properties, required, additionalProperties (boolean or schema),
+ *   items, minItems, maxItems, uniqueItems,
+ *   minLength, maxLength, pattern, format (date-time, date, email, uri, uuid),
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+ *   anyOf, oneOf, allOf, not, nullable, and local $ref (#/$defs/..., #/definitions/...)
+ *
+ * Unknown keywords are ignored. It returns a list of errors, each
+ * { path, message } with a JSON-pointer-like path ('' is the root), and never
+ * throws on invalid input.
+ *
+ * coerce(value, schema) optionally runs first to repair the mismatches models
+ * commonly produce in tool arguments (numeric strings, 'true'/'false', ...).
+ */
+
+class StructuredOutputError extends Error {
+    constructor(message, opt = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.errors = opt.errors || [];
+        this.content = opt.content ?? null;
+        this.attempts = opt.attempts || 1;
+    }
+}
+
+const FORMATS = {
+    'date-time': v => !isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+    'date': v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)),
+    'email': v => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    'uri': v => /^[a-z][a-z0-9+.-]*:\S+$/i.test(v),
+    'uuid': v => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v),
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        default: return typeOf(value) === type;
+    }
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#'))
+        return null;
+    let node = root;
+    for (const part of ref.slice(1).split('/').filter(Boolean)) {
+        node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (node === undefined) return null;
+    }
+    return node;
+}
+
+function equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function compilePattern(pattern) {
+    try {
+        return new RegExp(pattern);
+    } catch (e) {
+        return null;
+    }
+}
+
+function _validate(value, schema, path, root, errors) {
+    if (schema === true || schema === undefined || schema === null) return;
+    if (schema === false) {
+        errors.push({ path, message: 'is not allowed' });
+        return;
+    }
+
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        if (!target) {
+            errors.push({ path, message: `unresolvable $ref ${schema.$ref}` });
+            return;
+        }
+        _validate(value, target, path, root, errors);
+    }
+
+    if (value === null && schema.nullable)
+        return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(e => equal(e, value)))
+        errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+    if (schema.const !== undefined && !equal(schema.const, value))
+        errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength)
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        if (schema.maxLength !== undefined && value.length > schema.maxLength)
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        if (schema.pattern) {
+            const re = compilePattern(schema.pattern);
+            if (!re)
+                errors.push({ path, message: `invalid pattern ${schema.pattern} in the schema` });
+            else if (!re.test(value))
+                errors.push({ path, message: `must match pattern ${schema.pattern}` });
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value))
+            errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum)
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum)
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum)
+            errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum)
+            errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+        if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9)
+            errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems)
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length)
+            errors.push({ path, message: 'must not contain duplicate items' });
+        if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items))
+            value.forEach((item, i) => _validate(item, schema.items, `${path}/${i}`, root, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined)
+                errors.push({ path: `${path}/${key}`, message: 'is required' });
+        }
+        const props = schema.properties || {};
+        for (const [key, v] of Object.entries(value)) {
+            if (props[key] !== undefined)
+                _validate(v, props[key], `${path}/${key}`, root, errors);
+            else if (schema.additionalProperties === false)
+                errors.push({ path: `${path}/${key}`, message: 'is not an allowed property' });
+            else if (typeof schema.additionalProperties === 'object')
+                _validate(v, schema.additionalProperties, `${path}/${key}`, root, errors);
+        }
+    }
+
+    if (schema.allOf)
+        schema.allOf.forEach(s => _validate(value, s, path, root, errors));
+    if (schema.anyOf && !schema.anyOf.some(s => validate(value, s, root).length === 0))
+        errors.push({ path, message: 'must match at least one schema in anyOf' });
+    if (schema.oneOf) {
+        const n = schema.oneOf.filter(s => validate(value, s, root).length === 0).length;
+        if (n !== 1)
+            errors.push({ path, message: `must match exactly one schema in oneOf (matched ${n})` });
+    }
+    if (schema.not && validate(value, schema.not, root).length === 0)
+        errors.push({ path, message: 'must not match the schema in not' });
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {*} value
+ * @param {Object|boolean} schema
+ * @param {Object} [root=schema] - Document that $refs resolve against
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+function validate(value, schema, root = schema) {
+    const errors = [];
+    _validate(value, schema, '', root, errors);
+    return errors;
+}
+
+function coerceScalar(value, types) {
+    for (const type of types) {
+        if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+            const n = Number(value);
+            if (matchesType(n, type)) return n;
+        }
+        if (type === 'boolean' && (value === 'true' || value === 'false'))
+            return value === 'true';
+        if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean'))
+            return String(value);
+        if (type === 'array' && value !== undefined && value !== null && !Array.isArray(value))
+            return [value];
+    }
+    return value;
+}
+
+/**
+ * Return a copy of value with simple type mismatches converted toward the
+ * schema: numeric strings to numbers, 'true'/'false' to booleans, numbers and
+ * booleans to strings, and a lone value to a one-item array. Recurses into
+ * properties and items; anything it cannot convert is left for validate().
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [root=schema] - Document that $refs resolve against
+ * @returns {*}
+ */
+function coerce(value, schema, root = schema) {
+    if (!schema || typeof schema !== 'object')
+        return value;
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, root);
+        return target ? coerce(value, target, root) : value;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(t => matchesType(value, t)))
+            value = coerceScalar(value, types);
+    }
+
+    if (typeOf(value) === 'object') {
+        const props = schema.properties || {};
+        const copy = {};
+        for (const [key, v] of Object.entries(value)) {
+            const sub = props[key] !== undefined ? props[key]
+                : typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+            copy[key] = coerce(v, sub, root);
+        }
+        return copy;
+    }
+    if (Array.isArray(value) && schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items))
+        return value.map(item => coerce(item, schema.items, root));
+    return value;
+}
+
+/**
+ * Format validation errors as readable lines, e.g. "/items/0/price: must be number, got string".
+ */
+function formatErrors(errors) {
+    return errors.map(e => `${e.path || '(root)'}: ${e.message}`);
+}
+
+/**
+ * Extract a JSON value from model output: the whole text, a fenced ```json
+ * block, or the span from the first { or [ to the last } or ].
+ * @returns {{ value: *, error: string|null }}
+ */
+function parseJson(text) {
+    if (typeof text !== 'string' || !text.trim())
+        return { value: undefined, error: 'reply is empty, expected JSON' };
+    const candidates = [text.trim()];
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced)
+        candidates.push(fenced[1].trim());
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start)
+        candidates.push(text.slice(start, end + 1));
+
+    let error = null;
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate), error: null };
+        } catch (e) {
+            error ||= 'reply is not valid JSON: ' + e.message;
+        }
+    }
+    return { value: undefined, error };
+}
+
+/**
+ * Normalize the responseSchema option: a bare JSON Schema, or
+ * { schema, name, strict, retries }.
+ */
+function responseFormat(option) {
+    if (!option) return null;
+    const wrapped = option.schema && typeof option.schema === 'object' && !option.type && !option.properties;
+    const format = wrapped ? { ...option } : { schema: option };
+    format.name ||= format.schema.title?.replace(/[^a-zA-Z0-9_-]/g, '_') || 'response';
+    format.strict = !!format.strict;
+    format.retries ??= 2;
+    return format;
+}
+
+module.exports = {
+    StructuredOutputError,
+    validate,
+    coerce,
+    formatErrors,
+    parseJson,
+    responseFormat,
+};
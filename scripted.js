@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * ScriptedProvider — deterministic LLM provider for tests.
+ *
+ * A test declares the conversation turns it expects, in order, each with a
+ * matcher and a canned reply:
+ *
+ *     const llm = new ScriptedProvider()
+ *         .expect({ lastUser: /weather/, functions: ['get_weather'] },
+ *             { tool_calls: [{ name: 'get_weather', arguments: { location: 'Tokyo' } }] })
+ *         .expect({ lastUser: /weather/ }, 'It is sunny in Tokyo.');
+ *     const agent = new MyAgent({ provider: llm });
+ *     ...
+ *     llm.verify();
+ *
+ * Any request that arrives when no turn is left, or that does not match the
+ * next turn, throws a ScriptedProviderError. verify() throws if a request
+ * failed or if scripted turns were never consumed.
+ *
+ * Summarization requests are answered with opt.summary unless it is null, in
+ * which case they must be scripted like any other turn (match { summary: true }).
+ */
+
+class ScriptedProviderError extends Error {
+    constructor(message, request) {
+        super('ScriptedProvider: ' + message);
+        this.name = 'ScriptedProviderError';
+        this.request = request || null;
+    }
+}
+
+class ScriptedProvider {
+    /**
+     * @param {Object} [opt]
+     * @param {string|null} [opt.summary='Scripted summary.'] - Canned reply for
+     *   summarization requests; null to script them explicitly
+     */
+    constructor(opt = {}) {
+        this.summary = opt.summary === undefined ? 'Scripted summary.' : opt.summary;
+        this.calls = [];
+        this._turns = [];
+        this._failures = [];
+        this._turnCount = 0;
+        this._callId = 0;
+    }
+
+    /**
+     * Append an expected turn.
+     * @param {Object} match - Matchers, all optional:
+     *   lastUser  — string (substring), RegExp or predicate for the last user message content
+     *   tag       — string, RegExp or predicate for the Msgs tag
+     *   functions — array of function names that must all be available
+     *   summary   — true to match summarization requests only
+     *   where     — predicate(request) for anything else
+     * @param {string|Object|Function} reply - Reply text, assistant message
+     *   (tool_calls may use the short form { name, arguments, id? }; optional
+     *   `usage` and `finish_reason` are passed through), or function(request)
+     *   returning either
+     * @returns {ScriptedProvider} this (for chaining)
+     */
+    expect(match, reply) {
+        if (reply === undefined)
+            throw new Error('ScriptedProvider.expect: reply is required');
+        this._turns.push({ match: match || {}, reply, index: ++this._turnCount });
+        return this;
+    }
+
+    get pending() {
+        return this._turns.length;
+    }
+
+    async send(messages, functions, model, opts = {}) {
+        const request = {
+            messages,
+            functions: functions || null,
+            model,
+            tag: opts.tag,
+            summary: !!opts.summary,
+            response_schema: opts.response_schema || null,
+        };
+        this.calls.push(request);
+
+        if (request.summary && this.summary !== null)
+            return { role: 'assistant', content: this.summary };
+
+        const turn = this._turns.shift();
+        if (!turn)
+            this._fail(`unexpected request #${this.calls.length}, no scripted turns left`, request);
+
+        const mismatch = this._mismatch(turn.match, request);
+        if (mismatch)
+            this._fail(`request #${this.calls.length} does not match turn #${turn.index}: ${mismatch}`, request);
+
+        const reply = typeof turn.reply === 'function' ? await turn.reply(request) : turn.reply;
+        return this._toMessage(reply);
+    }
+
+    /**
+     * Throw if any request failed or scripted turns remain unconsumed.
+     */
+    verify() {
+        if (this._failures.length)
+            throw this._failures[0];
+        if (this._turns.length) {
+            const next = this._turns[0];
+            throw new ScriptedProviderError(`${this._turns.length} scripted turn(s) not consumed, ` +
+                `next is turn #${next.index} ${describeMatch(next.match)}`);
+        }
+    }
+
+    reset() {
+        this.calls = [];
+        this._turns = [];
+        this._failures = [];
+        this._turnCount = 0;
+        this._callId = 0;
+        return this;
+    }
+
+    _fail(message, request) {
+        const err = new ScriptedProviderError(message + '\n  ' + summarize(request), request);
+        this._failures.push(err);
+        throw err;
+    }
+
+    _mismatch(match, request) {
+        if (match.summary !== undefined && !!match.summary !== request.summary)
+            return `expected ${match.summary ? 'a' : 'no'} summarization request`;
+
+        if (match.lastUser !== undefined) {
+            const last = lastUserContent(request.messages);
+            if (!matches(match.lastUser, last))
+                return `lastUser ${show(match.lastUser)} vs ${JSON.stringify(last)}`;
+        }
+
+        if (match.tag !== undefined && !matches(match.tag, request.tag))
+            return `tag ${show(match.tag)} vs ${JSON.stringify(request.tag)}`;
+
+        if (match.functions !== undefined) {
+            const names = functionNames(request.functions);
+            const missing = match.functions.filter(n => !names.includes(n));
+            if (missing.length)
+                return `functions missing [${missing.join(', ')}], available [${names.join(', ')}]`;
+        }
+
+        if (match.where && !match.where(request))
+            return 'where() predicate returned false';
+
+        return null;
+    }
+
+    _toMessage(reply) {
+        if (typeof reply === 'string')
+            return { role: 'assistant', content: reply };
+
+        const msg = { role: 'assistant', content: reply?.content ?? null };
+        if (reply?.tool_calls?.length) {
+            msg.tool_calls = reply.tool_calls.map(call => call.function ? { ...call } : {
+                id: call.id || 'call_scripted_' + (++this._callId),
+                type: 'function',
+                function: {
+                    name: call.name,
+                    arguments: typeof call.arguments === 'string'
+                        ? call.arguments : JSON.stringify(call.arguments || {}),
+                },
+            });
+        }
+        if (reply?.usage)
+            msg.usage = { ...reply.usage };
+        if (reply?.finish_reason)
+            msg.finish_reason = reply.finish_reason;
+        return msg;
+    }
+}
+
+function matches(matcher, value) {
+    if (matcher instanceof RegExp)
+        return typeof value === 'string' && matcher.test(value);
+    if (typeof matcher === 'function')
+        return !!matcher(value);
+    if (typeof matcher === 'string')
+        return typeof value === 'string' && value.includes(matcher);
+    return matcher === value;
+}
+
+function lastUserContent(messages) {
+    for (let i = (messages || []).length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user')
+            return messages[i].content;
+    }
+    return undefined;
+}
+
+function functionNames(functions) {
+    return (functions || []).map(f => f.function?.name || f.name);
+}
+
+function show(matcher) {
+    if (matcher instanceof RegExp) return String(matcher);
+    if (typeof matcher === 'function') return 'predicate';
+    return JSON.stringify(matcher);
+}
+
+function describeMatch(match) {
+    const keys = Object.keys(match);
+    if (!keys.length) return '(matches anything)';
+    return '{ ' + keys.map(k => k + ': ' + (Array.isArray(match[k])
+        ? JSON.stringify(match[k]) : show(match[k]))).join(', ') + ' }';
+}
+
+function summarize(request) {
+    const last = request.messages?.[request.messages.length - 1];
+    return `tag=${JSON.stringify(request.tag)} summary=${request.summary} ` +
+        `functions=[${functionNames(request.functions).join(', ')}] ` +
+        `last=${last ? last.role + ': ' + String(last.content ?? '').slice(0, 200) : '(none)'}`;
+}
+
+module.exports = { ScriptedProvider, ScriptedProviderError };
@@ -0,0 +1,187 @@
+'use strict';
+
+const schema = require('./schema.js');
+
+/**
+ * summarize — strategies for condensing a msgs Q that grew too long.
+ *
+ *     summarization: 'rolling'
+ *     summarization: { strategy: 'hierarchical', fanout: 3, prompt: 'Keep every order number.' }
+ *
+ * Built-in strategies:
+ *
+ *     'collapse'     — every replied message, earlier summaries included, becomes one summary (default)
+ *     'rolling'      — only the oldest `count` messages (default 20) are folded into the running summary
+ *     'hierarchical' — new messages become a level 1 summary; once `fanout` (default 4) summaries of a
+ *                      level pile up they are summarized into one summary of the next level
+ *     'facts'        — extracts key/value facts (into userData.facts on a Saico) and keeps them as the summary
+ *
+ * `prompt` replaces the instructions of what the summary should contain (a
+ * Saico may provide its own via getSummaryPrompt()). On close() every
+ * strategy summarizes the whole conversation.
+ *
+ * A custom strategy is an object with
+ *
+ *     async summarize(entries, ctx) => { consumed, summary, level? } | null
+ *
+ * where `entries` are the replied msgs Q entries ({ msg, opts, ... }) in
+ * order, `consumed` those the summary replaces (it takes the place of the
+ * first one), and `ctx` is { close, options, prompt, summarize(messages,
+ * instructions) => text, saveFacts(facts) }. Register it by name with
+ * register() so the name can be persisted in sessionConfig.
+ *
+ * Summarization also runs before an LLM call once the outgoing queue passes a
+ * threshold (see normalizeAuto):
+ *
+ *     auto_summarize: { mode: 'background', threshold: 0.7 }
+ */
+
+const DEFAULT_PROMPT =
+    'Please summarize the following conversation. The summary should be one or two paragraphs as follows:' +
+    '- First paragraph: the purpose of the conversation and the outcome' +
+    '- Second paragraph (optional): next steps or pending requests that should be considered' +
+    '- Do not include system errors in the summary.\n' +
+    '- Formulate the summary from the AI agent\'s perspective\n';
+
+const FACTS_PROMPT =
+    'Extract the facts from the following conversation that the AI agent needs to continue it: ' +
+    'details the user gave, decisions, preferences, commitments, identifiers and pending requests. ' +
+    'Keep the facts of earlier summaries unless they were superseded.\n';
+
+const FACTS_FORMAT = 'Reply with only a JSON object mapping short snake_case keys to concise values.\n';
+
+// Extend a cut of entries so an assistant tool call is never separated from its responses
+function extendPastToolResponses(entries, end) {
+    while (end < entries.length && entries[end].msg.role === 'tool')
+        end++;
+    return end;
+}
+
+const collapse = {
+    async summarize(entries, ctx) {
+        const summary = await ctx.summarize(entries.map(m => m.msg));
+        return { consumed: entries, summary };
+    },
+};
+
+const rolling = {
+    async summarize(entries, ctx) {
+        if (ctx.close)
+            return collapse.summarize(entries, ctx);
+        const count = ctx.options.count || 20;
+        const fresh = entries.filter(m => !m.opts.summary);
+        const cut = fresh.slice(0, extendPastToolResponses(fresh, Math.min(count, fresh.length)));
+        if (!cut.length)
+            return null;
+        // The previous running summary is folded into the new one
+        const consumed = [...entries.filter(m => m.opts.summary), ...cut];
+        const summary = await ctx.summarize(consumed.map(m => m.msg));
+        return { consumed, summary };
+    },
+};
+
+const hierarchical = {
+    async summarize(entries, ctx) {
+        if (ctx.close)
+            return collapse.summarize(entries, ctx);
+        const fanout = ctx.options.fanout || 4;
+        const fresh = entries.filter(m => !m.opts.summary);
+        if (!fresh.length)
+            return null;
+        const consumed = [...fresh];
+        let summary = await ctx.summarize(fresh.map(m => m.msg));
+        let level = 1;
+        for (;;) {
+            const peers = entries.filter(m => m.opts.summary && (m.opts.summary_level || 1) === level);
+            if (!summary || peers.length + 1 < fanout)
+                break;
+            summary = await ctx.summarize([...peers.map(m => m.msg), { role: 'user', content: summary }]);
+            consumed.unshift(...peers);
+            level++;
+        }
+        return { consumed, summary, level };
+    },
+};
+
+const facts = {
+    async summarize(entries, ctx) {
+        const text = await ctx.summarize(entries.map(m => m.msg), (ctx.prompt || FACTS_PROMPT) + FACTS_FORMAT);
+        const { value } = schema.parseJson(text);
+        if (!value || typeof value !== 'object' || Array.isArray(value))
+            return { consumed: entries, summary: text };
+        ctx.saveFacts(value);
+        const lines = Object.entries(value).map(([k, v]) => `- ${k}: ${typeof v === 'string' ? v : JSON.stringify(v)}`);
+        return { consumed: entries, summary: 'Known facts:\n' + lines.join('\n') };
+    },
+};
+
+const _strategies = new Map(Object.entries({ collapse, rolling, hierarchical, facts }));
+
+function register(name, strategy) {
+    if (!name || typeof name !== 'string')
+        throw new Error('Summarization strategy name must be a non-empty string');
+    if (!strategy || typeof strategy.summarize !== 'function')
+        throw new Error(`Summarization strategy "${name}" must implement summarize()`);
+    _strategies.set(name, strategy);
+    return strategy;
+}
+
+function get(name) {
+    return _strategies.get(name) || null;
+}
+
+function list() {
+    return [..._strategies.keys()];
+}
+
+/**
+ * Validate a summarization config (a strategy name, a strategy object, or
+ * { strategy, prompt, ...options }). Returns { name, strategy, prompt, options }.
+ */
+function normalize(spec) {
+    if (spec === undefined || spec === null)
+        spec = {};
+    else if (typeof spec === 'string' || typeof spec.summarize === 'function')
+        spec = { strategy: spec };
+    const { strategy = 'collapse', prompt = null, ...options } = spec;
+    if (typeof strategy === 'object' && typeof strategy.summarize === 'function')
+        return { name: strategy.name || 'custom', strategy, prompt, options };
+    const found = get(strategy);
+    if (!found)
+        throw new Error('Unknown summarization strategy: ' + strategy);
+    return { name: strategy, strategy: found, prompt, options };
+}
+
+const AUTO_MODES = ['inline', 'background'];
+
+/**
+ * Validate an auto_summarize config: false or undefined (off, the default),
+ * true, or { mode, threshold }.
+ * 'inline' (default) summarizes before the call is sent; 'background' sends
+ * it as is and summarizes meanwhile. threshold is in tokens, or a fraction
+ * when at most 1 (default 0.85) of token_limit or of the model's context
+ * window, whichever is smaller. Returns { mode, threshold }, or null when off.
+ */
+function normalizeAuto(spec) {
+    if (spec === false || spec === null || spec === undefined)
+        return null;
+    if (spec === true)
+        spec = {};
+    const mode = spec.mode || 'inline';
+    if (!AUTO_MODES.includes(mode))
+        throw new Error('Unknown auto_summarize.mode: ' + mode);
+    const threshold = spec.threshold ?? 0.85;
+    if (!(threshold > 0))
+        throw new Error('auto_summarize.threshold must be a positive number');
+    return { mode, threshold };
+}
+
+module.exports = {
+    DEFAULT_PROMPT,
+    AUTO_MODES,
+    register,
+    get,
+    list,
+    normalize,
+    normalizeAuto,
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const http = require('http');
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { AnthropicProvider, createAnthropicProvider } = require('../anthropic.js');
+const { LLMError, LLMRetryExhaustedError } = require('../retry.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const providers = require('../providers.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+// Recorded Messages API responses, replayed in order by the local stand-in
+const RECORDED = {
+    toolUse: {
+        id: 'msg_01A', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5',
+        content: [
+            { type: 'text', text: 'Let me check the weather.' },
+            { type: 'tool_use', id: 'toolu_01X', name: 'get_weather', input: { location: 'Tokyo' } },
+        ],
+        stop_reason: 'tool_use',
+        usage: { input_tokens: 412, output_tokens: 58 },
+    },
+    final: {
+        id: 'msg_01B', type: 'message', role: 'assistant', model: 'claude-sonnet-4-5',
+        content: [{ type: 'text', text: 'It is 72F and sunny in Tokyo.' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 503, output_tokens: 14 },
+    },
+    overloaded: {
+        type: 'error',
+        error: { type: 'overloaded_error', message: 'Overloaded' },
+    },
+};
+
+// Minimal Messages API stand-in: records each request and replays queued responses
+function startStandIn() {
+    const stand = { requests: [], replies: [] };
+    stand.server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', c => chunks.push(c));
+        req.on('end', () => {
+            stand.requests.push({
+                url: req.url,
+                headers: req.headers,
+                body: JSON.parse(Buffer.concat(chunks).toString('utf8')),
+            });
+            const next = stand.replies.shift() || { status: 500, body: { error: { message: 'no reply queued' } } };
+            res.writeHead(next.status, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(next.body));
+        });
+    });
+    return new Promise(resolve => stand.server.listen(0, '127.0.0.1', () => {
+        stand.baseURL = 'http://127.0.0.1:' + stand.server.address().port;
+        resolve(stand);
+    }));
+}
+
+describe('AnthropicProvider', function () {
+    let sandbox;
+    let stand;
+
+    beforeEach(async () => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+        stand = await startStandIn();
+    });
+
+    afterEach(async () => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+        await new Promise(resolve => stand.server.close(resolve));
+    });
+
+    describe('request translation', () => {
+        const provider = new AnthropicProvider({ model: 'claude-test', max_tokens: 100 });
+
+        it('should hoist system messages into system', () => {
+            const body = provider._toRequest([
+                { role: 'system', content: 'Prompt A' },
+                { role: 'system', content: 'Prompt B' },
+                { role: 'user', content: 'hi' },
+            ]);
+            expect(body.system).to.equal('Prompt A\n\nPrompt B');
+            expect(body.messages).to.deep.equal([{ role: 'user', content: [{ type: 'text', text: 'hi' }] }]);
+            expect(body.model).to.equal('claude-test');
+            expect(body.max_tokens).to.equal(100);
+        });
+
+        it('should translate tool_calls and tool responses into content blocks', () => {
+            const body = provider._toRequest([
+                { role: 'user', content: 'weather?' },
+                { role: 'assistant', content: '', tool_calls: [
+                    { id: 'c1', type: 'function', function: { name: 'a', arguments: '{"x":1}' } },
+                    { id: 'c2', type: 'function', function: { name: 'b', arguments: '' } },
+                ] },
+                { role: 'tool', tool_call_id: 'c1', name: 'a', content: 'A result' },
+                { role: 'tool', tool_call_id: 'c2', name: 'b', content: 'B result' },
+            ]);
+            expect(body.messages).to.have.length(3);
+            expect(body.messages[1]).to.deep.equal({ role: 'assistant', content: [
+                { type: 'tool_use', id: 'c1', name: 'a', input: { x: 1 } },
+                { type: 'tool_use', id: 'c2', name: 'b', input: {} },
+            ] });
+            // Consecutive tool responses merge into one user turn
+            expect(body.messages[2]).to.deep.equal({ role: 'user', content: [
+                { type: 'tool_result', tool_use_id: 'c1', content: 'A result' },
+                { type: 'tool_result', tool_use_id: 'c2', content: 'B result' },
+            ] });
+        });
+
+        it('should merge consecutive user messages', () => {
+            const body = provider._toRequest([
+                { role: 'user', content: '[SUMMARY]: earlier' },
+                { role: 'user', content: 'now' },
+            ]);
+            expect(body.messages).to.have.length(1);
+            expect(body.messages[0].content.map(b => b.text)).to.deep.equal(['[SUMMARY]: earlier', 'now']);
+        });
+
+        it('should open with a user turn when the queue starts with the assistant', () => {
+            const body = provider._toRequest([{ role: 'assistant', content: 'hello' }]);
+            expect(body.messages[0].role).to.equal('user');
+            expect(body.messages[1].role).to.equal('assistant');
+        });
+
+        it('should translate both function schema shapes into tools', () => {
+            const params = { type: 'object', properties: { q: { type: 'string' } } };
+            const body = provider._toRequest([{ role: 'user', content: 'x' }], [
+                { name: 'plain', description: 'Plain', parameters: params },
+                { type: 'function', function: { name: 'wrapped' } },
+            ]);
+            expect(body.tools).to.deep.equal([
+                { name: 'plain', description: 'Plain', input_schema: params },
+                { name: 'wrapped', input_schema: { type: 'object', properties: {} } },
+            ]);
+        });
+
+        it('should use the caller model over the default', () => {
+            const body = provider._toRequest([{ role: 'user', content: 'x' }], null, 'claude-other');
+            expect(body.model).to.equal('claude-other');
+            expect(body.tools).to.be.undefined;
+        });
+    });
+
+    describe('response translation', () => {
+        const provider = new AnthropicProvider();
+
+        it('should translate tool_use blocks into tool_calls', () => {
+            const msg = provider._fromResponse(RECORDED.toolUse);
+            expect(msg).to.deep.equal({
+                role: 'assistant',
+                content: 'Let me check the weather.',
+                tool_calls: [{
+                    id: 'toolu_01X',
+                    type: 'function',
+                    function: { name: 'get_weather', arguments: '{"location":"Tokyo"}' },
+                }],
+                finish_reason: 'tool_calls',
+            });
+        });
+
+        it('should return text-only replies without tool_calls', () => {
+            const msg = provider._fromResponse(RECORDED.final);
+            expect(msg).to.deep.equal({ role: 'assistant', content: 'It is 72F and sunny in Tokyo.',
+                finish_reason: 'stop' });
+        });
+
+        it('should report a reply cut off at max_tokens as finish_reason length', () => {
+            const msg = provider._fromResponse({ ...RECORDED.final, stop_reason: 'max_tokens' });
+            expect(msg.finish_reason).to.equal('length');
+        });
+
+        it('should throw an LLMError on malformed or error responses', () => {
+            expect(() => provider._fromResponse({})).to.throw(LLMError, 'malformed response');
+            expect(() => provider._fromResponse(null)).to.throw(LLMError, 'malformed response');
+            const error = { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } };
+            expect(() => provider._fromResponse(error)).to.throw(LLMError, 'Overloaded')
+                .with.property('code', 'overloaded_error');
+        });
+    });
+
+    describe('transport', () => {
+        it('should post to /v1/messages with auth and version headers', async () => {
+            stand.replies.push({ status: 200, body: RECORDED.final });
+            const provider = createAnthropicProvider({ baseURL: stand.baseURL, apiKey: 'sk-test' });
+
+            const reply = await provider.send([{ role: 'user', content: 'hi' }]);
+
+            expect(reply.content).to.equal('It is 72F and sunny in Tokyo.');
+            expect(stand.requests).to.have.length(1);
+            expect(stand.requests[0].url).to.equal('/v1/messages');
+            expect(stand.requests[0].headers['x-api-key']).to.equal('sk-test');
+            expect(stand.requests[0].headers['anthropic-version']).to.equal('2023-06-01');
+        });
+
+        it('should reject with status and type on API errors', async () => {
+            stand.replies.push({ status: 529, body: RECORDED.overloaded });
+            const provider = createAnthropicProvider({ baseURL: stand.baseURL, retry: { retries: 0 } });
+            try {
+                await provider.send([{ role: 'user', content: 'hi' }]);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMRetryExhaustedError);
+                expect(e.message).to.include('Overloaded');
+                expect(e.status).to.equal(529);
+                expect(e.cause.type).to.equal('overloaded_error');
+            }
+        });
+
+        it('should retry overloaded responses', async () => {
+            sandbox.stub(console, 'error');
+            stand.replies.push({ status: 529, body: RECORDED.overloaded }, { status: 200, body: RECORDED.final });
+            const provider = createAnthropicProvider({ baseURL: stand.baseURL, retry: { base_delay: 1, jitter: 0 } });
+
+            const msg = await provider.send([{ role: 'user', content: 'hi' }]);
+
+            expect(msg.content).to.equal(RECORDED.final.content[0].text);
+            expect(stand.requests).to.have.length(2);
+        });
+
+        it('should be registered as "anthropic"', () => {
+            expect(providers.get('anthropic')).to.be.an.instanceOf(AnthropicProvider);
+        });
+    });
+
+    describe('Saico integration', () => {
+        class WeatherAgent extends Saico {
+            async TOOL_get_weather(args) {
+                return `Weather in ${args.location}: 72F, sunny`;
+            }
+        }
+
+        const weatherFn = {
+            name: 'get_weather',
+            description: 'Get weather for a location',
+            parameters: { type: 'object', properties: { location: { type: 'string' } }, required: ['location'] },
+        };
+
+        it('should run a tool round trip through recvChatMessage', async () => {
+            stand.replies.push({ status: 200, body: RECORDED.toolUse }, { status: 200, body: RECORDED.final });
+            const agent = new WeatherAgent({
+                prompt: 'You are a weather bot.',
+                functions: [weatherFn],
+                provider: createAnthropicProvider({ baseURL: stand.baseURL }),
+            });
+            agent.activate({ createQ: true });
+
+            const reply = await agent.recvChatMessage('Weather in Tokyo?');
+
+            expect(reply.content).to.include('It is 72F and sunny in Tokyo.');
+            expect(stand.requests).to.have.length(2);
+
+            const first = stand.requests[0].body;
+            expect(first.system).to.include('You are a weather bot.');
+            expect(first.tools.map(t => t.name)).to.deep.equal(['get_weather']);
+            expect(first.messages).to.deep.equal([
+                { role: 'user', content: [{ type: 'text', text: 'Weather in Tokyo?' }] },
+            ]);
+
+            const second = stand.requests[1].body.messages;
+            expect(second[1].role).to.equal('assistant');
+            expect(second[1].content).to.deep.include(
+                { type: 'tool_use', id: 'toolu_01X', name: 'get_weather', input: { location: 'Tokyo' } });
+            expect(second[2]).to.deep.equal({ role: 'user', content: [
+                { type: 'tool_result', tool_use_id: 'toolu_01X', content: 'Weather in Tokyo: 72F, sunny' },
+            ] });
+
+            // Msgs keeps the OpenAI-shaped history
+            const stored = agent.msgs.__msgs;
+            expect(stored.find(m => m.tool_calls).tool_calls[0].id).to.equal('toolu_01X');
+            expect(stored.find(m => m.role === 'tool').tool_call_id).to.equal('toolu_01X');
+        });
+
+        it('should carry [BACKEND] messages from sendMessage', async () => {
+            stand.replies.push({ status: 200, body: RECORDED.final });
+            const agent = new Saico({
+                prompt: 'p',
+                provider: createAnthropicProvider({ baseURL: stand.baseURL }),
+            });
+            agent.activate({ createQ: true });
+
+            await agent.sendMessage('refresh state');
+
+            const body = stand.requests[0].body;
+            expect(body.system).to.equal('p');
+            expect(body.messages[0].content[0].text).to.equal('[BACKEND] refresh state');
+        });
+    });
+});
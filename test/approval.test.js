@@ -0,0 +1,218 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+class Travel extends Saico {
+    static tools = {
+        search: { description: 'Search flights' },
+        book: { description: 'Book a flight', requiresApproval: true },
+    };
+
+    constructor(opt) {
+        super(opt);
+        this._ran = [];
+    }
+
+    async TOOL_search({ to }) {
+        this._ran.push('search');
+        return 'LY001 to ' + to;
+    }
+
+    async TOOL_book({ flight }) {
+        this._ran.push('book');
+        return 'booked ' + flight;
+    }
+}
+
+const BOOK = { name: 'book', arguments: { flight: 'LY001' } };
+const SEARCH = { name: 'search', arguments: { to: 'JFK' } };
+
+function toolMessage(request, content) {
+    return request.messages.some(m => m.role === 'tool' && m.content.includes(content));
+}
+
+describe('tool approvals', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    function travel(llm) {
+        const agent = new Travel({ name: 'travel', provider: llm });
+        agent.activate({ createQ: true });
+        return agent;
+    }
+
+    it('should park the call and emit tool_approval instead of running it', async () => {
+        const llm = new ScriptedProvider().expect({}, { tool_calls: [BOOK] });
+        const agent = travel(llm);
+        const events = [];
+        agent.on('tool_approval', e => events.push(e));
+
+        await agent.recvChatMessage('book LY001');
+
+        expect(agent._ran).to.deep.equal([]);
+        expect(events).to.have.length(1);
+        expect(events[0]).to.include({ tool: 'book', id: 'call_scripted_1' });
+        expect(events[0].arguments).to.deep.equal({ flight: 'LY001' });
+        expect(events[0].saico).to.deep.equal({ id: agent.id, name: 'travel' });
+        expect(agent.getPendingApprovals().map(p => p.id)).to.deep.equal(['call_scripted_1']);
+        expect(llm.calls).to.have.length(1);
+    });
+
+    it('should run the tool and continue the conversation when approved', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [BOOK] })
+            .expect({ where: r => toolMessage(r, 'booked LY001') }, 'You are booked.');
+        const agent = travel(llm);
+        let request;
+        agent.on('tool_approval', e => { request = e; });
+        await agent.recvChatMessage('book LY001');
+
+        const reply = await agent.approveToolCall(request.id);
+
+        expect(agent._ran).to.deep.equal(['book']);
+        expect(reply.content).to.equal('You are booked.');
+        expect(agent.getPendingApprovals()).to.deep.equal([]);
+        // The continuation keeps the aggregated functions and prompt
+        expect(llm.calls[1].functions.map(f => f.name)).to.deep.equal(['search', 'book']);
+        llm.verify();
+    });
+
+    it('should tell the model when a call is rejected', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [BOOK] })
+            .expect({ where: r => toolMessage(r, 'rejected and did not run: too expensive') }, 'Understood.');
+        const agent = travel(llm);
+        await agent.recvChatMessage('book LY001');
+
+        const reply = await agent.rejectToolCall('call_scripted_1', 'too expensive');
+
+        expect(agent._ran).to.deep.equal([]);
+        expect(reply.content).to.equal('Understood.');
+        llm.verify();
+    });
+
+    it('should run the other calls at once and hold their responses with the parked call', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [SEARCH, BOOK] })
+            .expect({ where: r => toolMessage(r, 'LY001 to JFK') && toolMessage(r, 'booked LY001') }, 'Done.');
+        const agent = travel(llm);
+        await agent.recvChatMessage('find and book');
+
+        expect(agent._ran).to.deep.equal(['search']);
+        expect(agent.msgs._msgs.some(m => m.msg.role === 'tool')).to.be.false;
+
+        await agent.approveToolCall('call_scripted_2');
+
+        const tools = agent.msgs._msgs.filter(m => m.msg.role === 'tool').map(m => m.msg.tool_call_id);
+        expect(tools).to.have.members(['call_scripted_1', 'call_scripted_2']);
+        llm.verify();
+    });
+
+    it('should wait for every parked call of the reply', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [BOOK, { name: 'book', arguments: { flight: 'LY002' } }] })
+            .expect({}, 'Both handled.');
+        const agent = travel(llm);
+        await agent.recvChatMessage('book both');
+
+        expect(await agent.rejectToolCall('call_scripted_1')).to.be.null;
+        expect(llm.calls).to.have.length(1);
+        const reply = await agent.approveToolCall('call_scripted_2');
+
+        expect(reply.content).to.equal('Both handled.');
+        expect(agent._ran).to.deep.equal(['book']);
+    });
+
+    it('should queue new messages until the approval is resolved', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [BOOK] })
+            .expect({ lastUser: 'window seat please' }, 'Booked, window seat noted.');
+        const agent = travel(llm);
+        await agent.recvChatMessage('book LY001');
+
+        const queued = await agent.recvChatMessage('window seat please');
+        expect(queued.queued).to.be.true;
+
+        const reply = await agent.approveToolCall('call_scripted_1');
+        expect(reply.content).to.equal('Booked, window seat noted.');
+        llm.verify();
+    });
+
+    it('should survive serialize and restore', async () => {
+        const llm = new ScriptedProvider().expect({}, { tool_calls: [SEARCH, BOOK] });
+        const agent = travel(llm);
+        await agent.recvChatMessage('find and book');
+
+        const data = await agent.serialize();
+        expect(JSON.parse(data).msgs.pending_approvals).to.have.length(1);
+
+        Itask.root.clear();
+        const llm2 = new ScriptedProvider()
+            .expect({ where: r => toolMessage(r, 'LY001 to JFK') && toolMessage(r, 'booked LY001') }, 'Booked.');
+        const restored = await Travel.deserialize(data, { provider: llm2 });
+
+        expect(restored).to.be.instanceOf(Travel);
+        expect(restored.getPendingApprovals().map(p => p.tool)).to.deep.equal(['book']);
+        expect(restored.msgs._hasPendingToolCalls()).to.be.true;
+
+        const reply = await restored.approveToolCall('call_scripted_2');
+
+        expect(reply.content).to.equal('Booked.');
+        expect(restored._ran).to.deep.equal(['book']);
+        llm2.verify();
+    });
+
+    it('should throw for an unknown call id', async () => {
+        const agent = travel(new ScriptedProvider());
+        try {
+            await agent.approveToolCall('nope');
+            expect.fail('should have thrown');
+        } catch (e) {
+            expect(e.message).to.equal('No pending approval for tool call nope');
+        }
+    });
+
+    it('should park calls in a standalone Msgs', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [BOOK] })
+            .expect({}, 'ok');
+        const ctx = new Msgs('p', { provider: llm, functions: [{ name: 'book', requiresApproval: true }] });
+        ctx._findToolImpl = () => ({ saico: { TOOL_book: async () => 'booked' }, methodName: 'TOOL_book' });
+
+        await ctx.sendMessage('user', 'book');
+        expect(ctx.getPendingApprovals()).to.have.length(1);
+
+        const reply = await ctx.resolveToolApproval('call_scripted_1', { approved: true });
+        expect(reply.content).to.equal('ok');
+    });
+});
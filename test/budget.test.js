@@ -0,0 +1,189 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const budgets = require('../budget.js');
+const usage = require('../usage.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const { BudgetExceededError } = budgets;
+
+// 1000 prompt + 100 completion tokens on gpt-5-mini: $0.00045
+const USAGE = { prompt_tokens: 1000, completion_tokens: 100 };
+
+function spent(calls, model = 'gpt-5-mini') {
+    const totals = usage.empty();
+    for (let i = 0; i < calls; i++)
+        usage.add(totals, usage.normalize(USAGE, model));
+    return totals;
+}
+
+describe('budget', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('validate', () => {
+        it('should reject incomplete declarations', () => {
+            expect(() => budgets.validate({})).to.throw('requires max_tokens or max_cost');
+            expect(() => budgets.validate({ max_cost: 1, policy: 'warn' })).to.throw('Unknown budget policy');
+            expect(() => budgets.validate({ max_cost: 1, policy: 'downgrade' })).to.throw('requires budget.model');
+            expect(budgets.validate(undefined)).to.be.null;
+        });
+
+        it('should be applied by the Saico constructor', () => {
+            expect(() => new Saico({ budget: { policy: 'reject' } })).to.throw('requires max_tokens or max_cost');
+        });
+    });
+
+    describe('evaluate', () => {
+        it('should allow calls within the limits', () => {
+            expect(budgets.evaluate({ max_tokens: 5000 }, spent(2), { prompt_tokens: 100 }))
+                .to.deep.equal({ action: 'ok' });
+        });
+
+        it('should count the prompt about to be sent', () => {
+            const verdict = budgets.evaluate({ max_tokens: 2300 }, spent(2), { prompt_tokens: 101 });
+            expect(verdict.action).to.equal('reject');
+            expect(verdict.reason).to.equal('tokens 2301/2300');
+        });
+
+        it('should reject on cost', () => {
+            const verdict = budgets.evaluate({ max_cost: 0.001 }, spent(3), { model: 'gpt-5-mini' });
+            expect(verdict.action).to.equal('reject');
+            expect(verdict.reason).to.include('cost $0.001350/$0.001');
+        });
+
+        it('should downgrade within the overdraft, then reject', () => {
+            const budget = { max_cost: 0.001, policy: 'downgrade', model: 'gpt-5-nano', overdraft: 0.5 };
+            const verdict = budgets.evaluate(budget, spent(3), {});
+            expect(verdict).to.include({ action: 'downgrade', model: 'gpt-5-nano' });
+            expect(verdict.reason).to.include('cost');
+
+            expect(budgets.evaluate(budget, spent(4), {}).action).to.equal('reject');
+            expect(budgets.evaluate(budget, spent(4), {}).reason).to.include('overdraft exhausted');
+            // Default overdraft is 20%
+            expect(budgets.evaluate({ ...budget, overdraft: undefined }, spent(3), {}).action).to.equal('reject');
+        });
+    });
+
+    describe('Saico enforcement', () => {
+        function script(n) {
+            const llm = new ScriptedProvider();
+            for (let i = 0; i < n; i++)
+                llm.expect({}, { content: 'reply ' + i, usage: { ...USAGE, model: 'gpt-5-mini' } });
+            return llm;
+        }
+
+        it('should reject sendMessage once the subtree budget is spent', async () => {
+            const llm = script(2);
+            const s = new Saico({ name: 'capped', provider: llm, budget: { max_tokens: 1000 } });
+            s.activate({ createQ: true });
+
+            await s.sendMessage('one');
+            try {
+                await s.sendMessage('two');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(BudgetExceededError);
+                expect(e.message).to.include('Budget of capped exceeded');
+                expect(e.owner).to.deep.equal({ id: s.id, name: 'capped' });
+                expect(e.spent.total_tokens).to.equal(1100);
+            }
+            expect(llm.pending).to.equal(1);
+        });
+
+        it('should enforce an ancestor budget on descendants', async () => {
+            const llm = script(3);
+            const root = new Saico({ name: 'root', provider: llm, budget: { max_tokens: 2000 } });
+            root.activate({ createQ: true });
+            const a = root.spawn(new Saico({ name: 'a', createQ: true }));
+            const b = root.spawn(new Saico({ name: 'b', createQ: true }));
+
+            await a.sendMessage('x');
+            await b.sendMessage('x');
+            try {
+                await a.sendMessage('x');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(BudgetExceededError);
+                expect(e.owner.name).to.equal('root');
+            }
+        });
+
+        it('should stop a looping tool chain', async () => {
+            class Looper extends Saico {
+                async TOOL_again() {
+                    return 'again';
+                }
+            }
+            const llm = new ScriptedProvider();
+            for (let i = 0; i < 10; i++)
+                llm.expect({}, { tool_calls: [{ name: 'again', arguments: { i } }], usage: USAGE });
+            const s = new Looper({ provider: llm, functions: [{ name: 'again' }], budget: { max_tokens: 3000 } });
+            s.activate({ createQ: true });
+
+            try {
+                await s.recvChatMessage('go');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(BudgetExceededError);
+            }
+            expect(llm.calls).to.have.length(3);
+        });
+
+        it('should downgrade to the budget model', async () => {
+            const llm = script(3);
+            const s = new Saico({
+                provider: llm,
+                budget: { max_tokens: 1000, policy: 'downgrade', model: 'gpt-5-nano', overdraft: 1.5 },
+            });
+            s.activate({ createQ: true });
+
+            await s.sendMessage('one', null, { model: 'gpt-5' });
+            await s.sendMessage('two', null, { model: 'gpt-5' });
+            await s.sendMessage('three', null, { model: 'gpt-5' });
+
+            expect(llm.calls.map(c => c.model)).to.deep.equal(['gpt-5', 'gpt-5-nano', 'gpt-5-nano']);
+            try {
+                await s.sendMessage('four', null, { model: 'gpt-5' });
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.include('overdraft exhausted');
+            }
+        });
+
+        it('should persist the budget', async () => {
+            const s = new Saico({ budget: { max_cost: 5 } });
+            s.activate({ createQ: true });
+            const restored = await Saico.deserialize(await s.serialize());
+            expect(restored.budget).to.deep.equal({ max_cost: 5 });
+        });
+    });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const toolCache = require('../cache.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+class Inventory extends Saico {
+    static tools = {
+        stock: { description: 'Units in stock', idempotent: true },
+        restock: { description: 'Add units' },
+    };
+
+    constructor(opt) {
+        super(opt);
+        this._runs = 0;
+        this.units = 5;
+    }
+
+    async TOOL_stock({ sku }) {
+        this._runs++;
+        return `${sku}: ${this.units} units`;
+    }
+
+    async TOOL_restock() {
+        this.units += 10;
+        this.invalidateToolCache('stock');
+        return 'restocked';
+    }
+}
+
+function call(name, args = { sku: 'A1' }) {
+    return { tool_calls: [{ name, arguments: args }] };
+}
+
+// A scripted provider for one user message per call: the call, then 'ok'
+function scripted(...calls) {
+    const llm = new ScriptedProvider();
+    for (const c of calls)
+        llm.expect({}, c).expect({}, 'ok');
+    return llm;
+}
+
+function toolReplies(saico) {
+    return saico.msgs._msgs.filter(m => m.msg.role === 'tool').map(m => m.msg.content);
+}
+
+describe('tool result cache', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        toolCache.globalCache.clear();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('ToolCache', () => {
+        it('should expire entries after their ttl', () => {
+            const clock = sandbox.useFakeTimers({ now: 1000, toFake: ['Date'] });
+            const cache = new toolCache.ToolCache();
+            cache.set('k', { tool: 't', args: {}, content: 'v' }, 100);
+
+            expect(cache.get('k').content).to.equal('v');
+            clock.tick(100);
+            expect(cache.get('k')).to.be.null;
+            expect(cache.size).to.equal(0);
+        });
+
+        it('should sweep expired entries and drop the least recently used past maxEntries', () => {
+            const clock = sandbox.useFakeTimers({ now: 1000, toFake: ['Date'] });
+            const cache = new toolCache.ToolCache({ maxEntries: 2 });
+            cache.set('old', { tool: 't', args: {} }, 100);
+            clock.tick(100);
+            cache.set('a', { tool: 't', args: {} });
+            expect(cache.size).to.equal(1);
+
+            cache.set('b', { tool: 't', args: {} });
+            cache.get('a');
+            cache.set('c', { tool: 't', args: {} });
+            expect([...cache._entries.keys()]).to.deep.equal(['a', 'c']);
+            expect(new toolCache.ToolCache().maxEntries).to.equal(toolCache.MAX_ENTRIES);
+        });
+
+        it('should invalidate by tool and arguments regardless of key order', () => {
+            const cache = new toolCache.ToolCache();
+            cache.set('1', { tool: 'a', args: { x: 1, y: 2 } });
+            cache.set('2', { tool: 'a', args: { x: 2 } });
+            cache.set('3', { tool: 'b', args: {} });
+
+            expect(cache.invalidate('a', { y: 2, x: 1 })).to.equal(1);
+            expect(cache.invalidate('a')).to.equal(1);
+            expect(cache.invalidate()).to.equal(1);
+            expect(toolCache.canonical({ b: [{ d: 1, c: 2 }], a: 1 })).to.equal('{"a":1,"b":[{"c":2,"d":1}]}');
+        });
+
+        it('should reject unknown scopes', () => {
+            expect(() => toolCache.scopeOf({ name: 'x', cacheScope: 'forever' }))
+                .to.throw('Unknown cacheScope for tool "x": forever');
+        });
+    });
+
+    describe('on tool calls', () => {
+        it('should answer a repeated idempotent call from the cache', async () => {
+            const llm = scripted(call('stock', { sku: 'A1', warehouse: 'north' }),
+                call('stock', { warehouse: 'north', sku: 'A1' }));
+            const agent = new Inventory({ provider: llm });
+            agent.activate({ createQ: true });
+
+            await agent.recvChatMessage('stock?');
+            await agent.recvChatMessage('stock again?');
+
+            expect(agent._runs).to.equal(1);
+            expect(toolReplies(agent)).to.deep.equal(['A1: 5 units', 'A1: 5 units']);
+            expect(agent.msgs.tool_digest.map(d => d.result)).to.deep.equal(['[cache hit] A1: 5 units']);
+            expect(agent.getUsage().tool_cache_hits).to.equal(1);
+            llm.verify();
+        });
+
+        it('should run calls with other arguments and tools that are not idempotent', async () => {
+            const llm = scripted(call('stock'), call('stock', { sku: 'B2' }), call('restock'), call('restock'));
+            const agent = new Inventory({ provider: llm });
+            agent.activate({ createQ: true });
+
+            for (let i = 0; i < 4; i++)
+                await agent.recvChatMessage('go');
+
+            expect(agent._runs).to.equal(2);
+            expect(agent.units).to.equal(25);
+            expect(agent.getUsage().tool_cache_hits).to.equal(0);
+        });
+
+        it('should run the tool again after a TOOL_ method invalidates it', async () => {
+            const llm = scripted(call('stock'), call('restock'), call('stock'));
+            const agent = new Inventory({ provider: llm });
+            agent.activate({ createQ: true });
+
+            for (let i = 0; i < 3; i++)
+                await agent.recvChatMessage('go');
+
+            expect(agent._runs).to.equal(2);
+            expect(toolReplies(agent)[2]).to.equal('A1: 15 units');
+        });
+
+        it('should expire results after cacheTtl', async () => {
+            const clock = sandbox.useFakeTimers({ now: 1000, toFake: ['Date'] });
+            class Timed extends Inventory {
+                static tools = { stock: { idempotent: true, cacheTtl: 60000 } };
+            }
+            const agent = new Timed({ provider: scripted(call('stock'), call('stock'), call('stock')) });
+            agent.activate({ createQ: true });
+
+            await agent.recvChatMessage('go');
+            clock.tick(30000);
+            await agent.recvChatMessage('go');
+            clock.tick(30000);
+            await agent.recvChatMessage('go');
+
+            expect(agent._runs).to.equal(2);
+        });
+
+        describe('scopes', () => {
+            // Two children with their own msgs Q calling the parent's stock tool
+            async function twoCallers(cacheScope) {
+                class Scoped extends Inventory {
+                    static tools = { stock: { idempotent: true, cacheScope } };
+                }
+                const llm = scripted(call('stock'), call('stock'));
+                const root = new Scoped({ provider: llm });
+                root.activate({ createQ: true });
+                for (const name of ['a', 'b']) {
+                    const child = new Saico({ name });
+                    child.activate({ createQ: true });
+                    root.spawn(child);
+                    await child.recvChatMessage('stock?');
+                    await child.deactivate();
+                }
+                return root;
+            }
+
+            it('should not share msgs-scoped results between message Qs', async () => {
+                const root = await twoCallers('msgs');
+                expect(root._runs).to.equal(2);
+            });
+
+            it('should share subtree-scoped results among callers of the implementing Saico', async () => {
+                const root = await twoCallers('subtree');
+                expect(root._runs).to.equal(1);
+                expect(root.getUsage({ tree: true }).tool_cache_hits).to.equal(1);
+            });
+
+            it('should share global results across trees', async () => {
+                class Global extends Inventory {
+                    static tools = { stock: { idempotent: true, cacheScope: 'global' } };
+                }
+                const first = new Global({ provider: scripted(call('stock')) });
+                first.activate({ createQ: true });
+                await first.recvChatMessage('go');
+                const second = new Global({ provider: scripted(call('stock')) });
+                second.activate({ createQ: true });
+                await second.recvChatMessage('go');
+
+                expect(first._runs + second._runs).to.equal(1);
+                expect(first.invalidateToolCache('stock')).to.equal(1);
+            });
+        });
+    });
+});
@@ -0,0 +1,175 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves after ms unless the signal aborts first
+function work(ms, signal, value) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(value), ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        });
+    });
+}
+
+function call(name, id = 'call_1') {
+    return { id, type: 'function', function: { name, arguments: '{}' } };
+}
+
+describe('tool timeouts, retries and cancellation', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    function msgsWith(functions, tool) {
+        const ctx = new Msgs('p', { functions });
+        ctx._findToolImpl = () => ({ saico: { TOOL_x: tool }, methodName: 'TOOL_x' });
+        return ctx;
+    }
+
+    it('should use the timeout of the function definition and abort the signal', async () => {
+        let signal;
+        const ctx = msgsWith([{ name: 'x', timeout: 20 }], async (args, ctx) => {
+            signal = ctx.signal;
+            await delay(60);
+            return 'too late';
+        });
+
+        const result = await ctx._executeToolCallWithTimeout(call('x'), 5000);
+
+        expect(result.content).to.equal('Tool call "x" timed out after 0.02 seconds.');
+        expect(signal.aborted).to.be.true;
+        expect(signal.reason.message).to.include('timed out after 20ms');
+    });
+
+    it('should record a result that arrives after the timeout', async () => {
+        const ctx = msgsWith([{ name: 'x', timeout: 10 }], async () => {
+            await delay(30);
+            return 'charged the card';
+        });
+
+        await ctx._executeToolCallWithTimeout(call('x'));
+        expect(ctx.tool_digest).to.deep.equal([]);
+
+        await delay(40);
+        expect(ctx.tool_digest).to.have.length(1);
+        expect(ctx.tool_digest[0].tool).to.equal('x');
+        expect(ctx.tool_digest[0].result).to.equal(
+            '[late result, arrived after the call was given up] charged the card');
+    });
+
+    it('should retry thrown errors and timeouts up to retries', async () => {
+        const attempts = [];
+        const ctx = msgsWith([{ name: 'x', timeout: 20, retries: 2 }], async (args, { signal, attempt }) => {
+            attempts.push(attempt);
+            if (attempt === 1)
+                throw new Error('flaky');
+            if (attempt === 2)
+                return work(100, signal, 'slow');
+            return 'ok';
+        });
+
+        const result = await ctx._executeToolCallWithTimeout(call('x'));
+
+        expect(attempts).to.deep.equal([1, 2, 3]);
+        expect(result.content).to.equal('ok');
+    });
+
+    it('should return the last failure once retries are used up', async () => {
+        const tool = sinon.stub().rejects(new Error('down'));
+        const ctx = msgsWith([{ name: 'x', retries: 1, retryDelay: 5 }], tool);
+
+        const result = await ctx._executeToolCallWithTimeout(call('x'));
+
+        expect(tool.callCount).to.equal(2);
+        expect(result.content).to.equal('Tool call "x" failed with error: down');
+    });
+
+    it('should not retry results the tool returns', async () => {
+        const tool = sinon.stub().resolves('Error: no seats');
+        const ctx = msgsWith([{ name: 'x', retries: 3 }], tool);
+
+        await ctx._executeToolCallWithTimeout(call('x'));
+
+        expect(tool.callCount).to.equal(1);
+    });
+
+    describe('on the Saico', () => {
+        class Worker extends Saico {
+            static tools = { crunch: { description: 'Long computation', retries: 2 } };
+
+            async TOOL_crunch(args, { signal }) {
+                this._signal = signal;
+                this._started();
+                return work(1000, signal, 'done');
+            }
+        }
+
+        async function startCrunch() {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'crunch', arguments: {} }] })
+                .expect({}, 'stopped');
+            const worker = new Worker({ provider: llm });
+            worker.activate({ createQ: true });
+            const msgs = worker.msgs;
+            const started = new Promise(resolve => { worker._started = resolve; });
+            const reply = worker.recvChatMessage('crunch', { timeout: 5000 });
+            await started;
+            return { worker, msgs, reply };
+        }
+
+        it('should abort running tools on deactivate', async () => {
+            const { worker, msgs, reply } = await startCrunch();
+
+            await worker.deactivate();
+            await reply;
+
+            expect(worker._signal.aborted).to.be.true;
+            const tool = msgs._msgs.find(m => m.msg.role === 'tool');
+            expect(tool.msg.content).to.equal('Tool call "crunch" was cancelled: the Saico was deactivated');
+        });
+
+        it('should abort running tools when the task is cancelled', async () => {
+            const { worker, msgs, reply } = await startCrunch();
+
+            worker._task._ecancel();
+            await reply;
+
+            expect(worker._signal.reason.message).to.equal('the task was cancelled');
+            const tool = msgs._msgs.find(m => m.msg.role === 'tool');
+            expect(tool.msg.content).to.include('was cancelled');
+        });
+    });
+});
@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { Cassette, createCassette, CassetteMismatchError } = require('../cassette.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+function readEntries(file) {
+    return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+}
+
+describe('Cassette', function () {
+    let sandbox;
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        sandbox.stub(openai, 'send').resolves({ content: 'AI response' });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saico-cassette-'));
+        file = path.join(dir, 'session.jsonl');
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('options', () => {
+        it('should require a file and a known mode', () => {
+            expect(() => new Cassette({})).to.throw('opt.file is required');
+            expect(() => new Cassette({ file, mode: 'rewind' })).to.throw('unknown mode rewind');
+        });
+
+        it('should default to replay mode over the library default provider', () => {
+            const c = createCassette({ file });
+            expect(c.mode).to.equal('replay');
+            expect(c._provider).to.equal(openai);
+        });
+    });
+
+    describe('key', () => {
+        const c = new Cassette({ file: 'unused.jsonl' });
+
+        it('should not depend on object key order', () => {
+            const a = c.key([{ role: 'user', content: 'x' }], [{ name: 'f', description: 'd' }], 'm');
+            const b = c.key([{ content: 'x', role: 'user' }], [{ description: 'd', name: 'f' }], 'm');
+            expect(a).to.equal(b);
+        });
+
+        it('should differ by content, functions and model', () => {
+            const base = c.key([{ role: 'user', content: 'x' }], null, 'm');
+            expect(c.key([{ role: 'user', content: 'y' }], null, 'm')).to.not.equal(base);
+            expect(c.key([{ role: 'user', content: 'x' }], [{ name: 'f' }], 'm')).to.not.equal(base);
+            expect(c.key([{ role: 'user', content: 'x' }], null, 'm2')).to.not.equal(base);
+        });
+
+        it('should mask ISO timestamps by default', () => {
+            const a = c.key([{ role: 'system', content: '[2024-01-01T10:00:00.000Z] tool: ok' }]);
+            const b = c.key([{ role: 'system', content: '[2026-10-18T08:30:12.345Z] tool: ok' }]);
+            expect(a).to.equal(b);
+        });
+
+        it('should accept a custom normalize hook', () => {
+            const custom = new Cassette({ file: 'unused.jsonl', normalize: r => ({ ...r, messages: r.messages.slice(-1) }) });
+            expect(custom.key([{ role: 'system', content: 'a' }, { role: 'user', content: 'x' }]))
+                .to.equal(custom.key([{ role: 'system', content: 'b' }, { role: 'user', content: 'x' }]));
+        });
+    });
+
+    describe('record and replay', () => {
+        class Agent extends Saico {
+            constructor(opt) {
+                super({ prompt: 'You are a lookup bot.', functions: [{ name: 'lookup' }], ...opt });
+                this.source = 'v1';
+            }
+            async TOOL_lookup(args) {
+                return `${args.q} is ${this.source}`;
+            }
+        }
+
+        function script() {
+            return new ScriptedProvider()
+                .expect({ lastUser: 'what is x' }, { tool_calls: [{ name: 'lookup', arguments: { q: 'x' }, id: 'call_1' }] })
+                .expect({}, 'x is v1, done.');
+        }
+
+        async function recordSession() {
+            const inner = script();
+            const agent = new Agent({ provider: createCassette({ file, mode: 'record', provider: inner }) });
+            agent.activate({ createQ: true });
+            const reply = await agent.recvChatMessage('what is x');
+            inner.verify();
+            return reply;
+        }
+
+        it('should record each request and reply as JSONL', async () => {
+            await recordSession();
+
+            const entries = readEntries(file);
+            expect(entries).to.have.length(2);
+            expect(entries[0]).to.include.keys('index', 'key', 'tag', 'model', 'messages', 'functions', 'reply', 'tm');
+            expect(entries[0].index).to.equal(0);
+            expect(entries[0].functions).to.deep.equal([{ name: 'lookup' }]);
+            expect(entries[0].reply.tool_calls[0].id).to.equal('call_1');
+            expect(entries[1].messages.some(m => m.role === 'tool' && m.content === 'x is v1')).to.be.true;
+            expect(entries[1].reply.content).to.equal('x is v1, done.');
+        });
+
+        it('should replay the exact recorded replies and run TOOL_ methods', async () => {
+            const recorded = await recordSession();
+
+            const cassette = createCassette({ file });
+            const agent = new Agent({ provider: cassette });
+            const spy = sandbox.spy(agent, 'TOOL_lookup');
+            agent.activate({ createQ: true });
+
+            const reply = await agent.recvChatMessage('what is x');
+
+            expect(reply.content).to.equal(recorded.content);
+            expect(spy.calledOnceWith({ q: 'x' })).to.be.true;
+            expect(cassette.divergences).to.have.length(0);
+            expect(cassette.unused()).to.have.length(0);
+            expect(openai.send.called).to.be.false;
+        });
+
+        it('should report a divergence when a TOOL_ result changes', async () => {
+            await recordSession();
+
+            const cassette = createCassette({ file });
+            const agent = new Agent({ provider: cassette });
+            agent.source = 'v2';
+            agent.activate({ createQ: true });
+
+            try {
+                await agent.recvChatMessage('what is x');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(CassetteMismatchError);
+                expect(e.message).to.include('request #1 not found');
+                expect(e.divergence.expected_index).to.equal(1);
+                expect(e.divergence.actual).to.include({ role: 'tool', content: 'x is v2' });
+                expect(e.divergence.recorded).to.include({ role: 'tool', content: 'x is v1' });
+            }
+            expect(cassette.divergences).to.have.length(1);
+            expect(cassette.unused().map(e => e.index)).to.deep.equal([1]);
+        });
+
+        it('should pass through to the wrapped provider when not strict', async () => {
+            await recordSession();
+
+            const cassette = createCassette({ file, strict: false });
+            const ctx = new Msgs('other prompt', { provider: cassette, functions: [{ name: 'lookup' }] });
+
+            const reply = await ctx.sendMessage('user', 'something else');
+
+            expect(reply.content).to.equal('AI response');
+            expect(openai.send.calledOnce).to.be.true;
+            expect(cassette.divergences[0].reason).to.include('message 0 differs');
+        });
+
+        it('should serve identical requests in recorded order', async () => {
+            const inner = new ScriptedProvider().expect({}, 'first').expect({}, 'second');
+            const rec = createCassette({ file, mode: 'record', provider: inner });
+            await rec.send([{ role: 'user', content: 'same' }]);
+            await rec.send([{ role: 'user', content: 'same' }]);
+
+            const play = createCassette({ file });
+            expect((await play.send([{ role: 'user', content: 'same' }])).content).to.equal('first');
+            expect((await play.send([{ role: 'user', content: 'same' }])).content).to.equal('second');
+            try {
+                await play.send([{ role: 'user', content: 'same' }]);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.include('already consumed');
+            }
+        });
+
+        it('should record summarization requests', async () => {
+            const inner = new ScriptedProvider();
+            const ctx = new Msgs('p', { provider: createCassette({ file, mode: 'record', provider: inner }) });
+            ctx.push({ role: 'user', content: 'hi' });
+
+            await ctx.close();
+
+            const entries = readEntries(file);
+            expect(entries).to.have.length(1);
+            expect(entries[0].summary).to.be.true;
+            expect(entries[0].reply.content).to.equal('Scripted summary.');
+        });
+
+        it('should report an empty cassette', async () => {
+            const play = createCassette({ file });
+            try {
+                await play.send([{ role: 'user', content: 'x' }]);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.include('cassette is empty');
+            }
+        });
+    });
+});
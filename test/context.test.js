@@ -526,7 +526,8 @@ describe('Msgs', function () {
                 { msg: { role: 'user', content: 'Hello' }, opts: {}, msgid: '1', replied: 1 },
                 { msg: { role: 'assistant', content: 'Hi', tool_calls: [{}] }, opts: {}, msgid: '2', replied: 3 },
                 { msg: { role: 'tool', content: 'result' }, opts: {}, msgid: '3', replied: 1 },
-                { msg: { role: 'user', content: '[BACKEND] instruction' }, opts: {}, msgid: '4', replied: 1 },
+                { msg: { role: 'user', content: '[BACKEND] instruction' }, opts: {}, msgid: '4', replied: 1,
+                    backend: true },
                 { msg: { role: 'assistant', content: 'Reply' }, opts: {}, msgid: '5', replied: 3 },
             );
 
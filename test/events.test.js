@@ -0,0 +1,186 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+class Clock extends Saico {
+    static tools = {
+        now: { description: 'Current time' },
+        wait: { description: 'Wait a while', timeout: 10 },
+    };
+
+    async TOOL_now() {
+        return 'noon';
+    }
+
+    async TOOL_wait(args, { signal }) {
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+    }
+}
+
+function record(saico) {
+    const events = [];
+    saico.on('event', (type, payload) => events.push({ type, ...payload }));
+    return events;
+}
+
+describe('lifecycle events', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+        Saico._backend = null;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+        Saico._backend = null;
+    });
+
+    it('should bubble a child conversation to a root subscribed once', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [{ name: 'now', arguments: {} }],
+                usage: { prompt_tokens: 5, completion_tokens: 2 } })
+            .expect({}, 'It is noon.');
+        const root = new Saico({ name: 'root', provider: llm });
+        root.activate();
+        const events = record(root);
+        const child = new Clock({ name: 'clock' });
+        child.activate({ createQ: true });
+        root.spawn(child);
+
+        await child.recvChatMessage('time?');
+
+        expect(events.map(e => e.type)).to.deep.equal([
+            'spawned',
+            'message', 'llm_request', 'llm_response', 'message',
+            'tool_started', 'tool_finished',
+            'message', 'llm_request', 'llm_response', 'message',
+        ]);
+        expect(events[0]).to.deep.equal({
+            type: 'spawned', child: { id: child.id, name: 'clock' }, saico: { id: root.id, name: 'root' },
+        });
+        const [, userMsg, request, response] = events;
+        expect(userMsg.message).to.deep.equal({ role: 'user', content: 'time?' });
+        expect(userMsg.saico).to.deep.equal({ id: child.id, name: 'clock' });
+        expect(userMsg.tag).to.equal(child.msgs.tag);
+        expect(request).to.include({ messages: 1, functions: 2 });
+        expect(response).to.include({ tool_calls: 1 });
+        expect(response.usage.total_tokens).to.equal(7);
+        expect(events[6]).to.include({ tool: 'now', content: 'noon', cached: false });
+        for (const e of events)
+            expect(Saico.EVENTS).to.include(e.type);
+    });
+
+    it('should emit each event under its own name on the instance and its ancestors', async () => {
+        const root = new Saico({ name: 'root' });
+        root.activate();
+        const child = new Clock();
+        child.activate({ createQ: true });
+        root.spawn(child);
+        const onRoot = sinon.spy();
+        const onChild = sinon.spy();
+        root.on('summary', onRoot);
+        child.on('summary', onChild);
+
+        child.msgs.pushSummary('talked about time');
+
+        expect(onChild.calledOnce).to.be.true;
+        expect(onRoot.firstCall.args[0]).to.deep.equal(onChild.firstCall.args[0]);
+        expect(onRoot.firstCall.args[0].summary).to.equal('talked about time');
+    });
+
+    it('should report timed out and dropped tool calls', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [{ name: 'wait', arguments: {} }] })
+            .expect({}, 'gave up');
+        const clock = new Clock({ provider: llm, max_tool_repetition: 1 });
+        clock.activate({ createQ: true });
+        const events = record(clock);
+
+        await clock.recvChatMessage('wait');
+        clock.msgs._filterExcessiveToolCalls([{ id: 'call_9', function: { name: 'wait', arguments: '{}' } }]);
+
+        expect(events.find(e => e.type === 'tool_timeout')).to.include({ tool: 'wait', timeout: 10, attempt: 1 });
+        expect(events.find(e => e.type === 'tool_dropped'))
+            .to.include({ id: 'call_9', tool: 'wait', reason: 'max_tool_repetition' });
+    });
+
+    it('should report failed LLM calls with the fallback tried next', async () => {
+        const llm = new ScriptedProvider()
+            .expect({ where: r => r.model === 'big' }, () => { throw new Error('overloaded'); })
+            .expect({ where: r => r.model === 'small' }, 'ok');
+        const agent = new Saico({ provider: llm, model: { default: 'big', fallbacks: ['small'] } });
+        agent.activate({ createQ: true });
+        const events = record(agent);
+
+        await agent.sendMessage('hi');
+
+        expect(events.filter(e => e.type.startsWith('llm_')).map(e => [e.type, e.model])).to.deep.equal([
+            ['llm_request', 'big'], ['llm_error', 'big'], ['llm_request', 'small'], ['llm_response', 'small'],
+        ]);
+        expect(events.find(e => e.type === 'llm_error')).to.include({ error: 'overloaded', fallback: 'small' });
+    });
+
+    it('should emit deactivated and stored', async () => {
+        Saico._backend = { put: sinon.stub().resolves() };
+        const root = new Saico({ name: 'root' });
+        root.activate();
+        const events = record(root);
+        const child = new Saico({ name: 'child', store: 'sessions' });
+        child.activate({ createQ: true });
+        root.spawn(child);
+
+        await child.store();
+        await child.deactivate();
+
+        expect(events.slice(1)).to.deep.equal([
+            { type: 'stored', table: 'sessions', saico: { id: child.id, name: 'child' } },
+            { type: 'deactivated', saico: { id: child.id, name: 'child' } },
+        ]);
+    });
+
+    it('should not let a failing listener break the conversation', async () => {
+        const llm = new ScriptedProvider().expect({}, 'ok');
+        const agent = new Saico({ provider: llm });
+        agent.activate({ createQ: true });
+        agent.on('message', () => { throw new Error('bad listener'); });
+
+        const reply = await agent.sendMessage('hi');
+
+        expect(reply.content).to.equal('ok');
+    });
+
+    it('should report a truncated reply without storing the finish reason', async () => {
+        const llm = new ScriptedProvider().expect({}, { content: 'The answer is', finish_reason: 'length' });
+        const agent = new Saico({ provider: llm });
+        agent.activate({ createQ: true });
+        const events = record(agent);
+
+        await agent.recvChatMessage('long question');
+
+        expect(events.find(e => e.type === 'llm_response').finish_reason).to.equal('length');
+        expect(agent.msgs._msgs[1].msg).to.deep.equal({ role: 'assistant', content: 'The answer is' });
+    });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+class Shop extends Saico {
+    static tools = { price: { description: 'Price of an item' } };
+
+    constructor(opt) {
+        super(opt);
+        this._priced = [];
+    }
+
+    async TOOL_price({ item }) {
+        this._priced.push(item);
+        return `${item} costs 10`;
+    }
+}
+
+const PRICE = { tool_calls: [{ name: 'price', arguments: { item: 'tea' } }] };
+
+function toolReply(saico) {
+    return saico.msgs._msgs.find(m => m.msg.role === 'tool').msg.content;
+}
+
+describe('middleware', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    function shop(llm, middleware) {
+        const agent = new Shop({ provider: llm, middleware });
+        agent.activate({ createQ: true });
+        return agent;
+    }
+
+    it('should validate middleware', () => {
+        expect(() => new Saico().use({ beforeLlmRequest() {} })).to.throw('at least one of');
+        expect(() => new Saico({ middleware: [null] })).to.throw('at least one of');
+        const agent = new Saico();
+        expect(agent.use({ afterToolCall() {} })).to.equal(agent);
+    });
+
+    describe('LLM requests', () => {
+        it('should send the queue and functions a beforeLLMRequest hook returns', async () => {
+            const llm = new ScriptedProvider().expect({ lastUser: 'card [REDACTED]' }, 'ok');
+            const redact = {
+                beforeLLMRequest(queue, functions) {
+                    return {
+                        queue: queue.map(m => m.role === 'user'
+                            ? { ...m, content: m.content.replace(/\d{4}/g, '[REDACTED]') } : m),
+                        functions: functions.filter(f => f.name !== 'price'),
+                    };
+                },
+            };
+            const agent = shop(llm, [redact]);
+
+            await agent.recvChatMessage('card 4242');
+
+            llm.verify();
+            expect(llm.calls[0].functions).to.deep.equal([]);
+            // The stored history is untouched
+            expect(agent.msgs._msgs[0].msg.content).to.equal('card 4242');
+        });
+
+        it('should skip the LLM when a hook returns a reply and still run after-hooks', async () => {
+            const llm = new ScriptedProvider();
+            const agent = shop(llm, [
+                { afterLLMResponse: (reply) => ({ ...reply, content: reply.content.toUpperCase() }) },
+                { beforeLLMRequest: () => ({ reply: 'canned answer' }) },
+                { beforeLLMRequest: () => { throw new Error('not reached'); } },
+            ]);
+
+            const reply = await agent.recvChatMessage('hi');
+
+            expect(llm.calls).to.have.length(0);
+            expect(reply.content).to.equal('CANNED ANSWER');
+        });
+
+        it('should pass the model and message context to afterLLMResponse', async () => {
+            const llm = new ScriptedProvider().expect({}, 'ok');
+            const seen = [];
+            const agent = new Shop({ provider: llm, model: 'gpt-5-mini',
+                middleware: [{ afterLLMResponse: (reply, ctx) => { seen.push(ctx); } }] });
+            agent.activate({ createQ: true });
+
+            await agent.recvChatMessage('hi');
+
+            expect(seen[0]).to.include({ tag: agent.msgs.tag, depth: 1, model: 'gpt-5-mini', msgs: agent.msgs });
+        });
+
+        it('should run summary requests through the hooks with ctx.summary set', async () => {
+            class Dump extends Saico {
+                static tools = { dump: { description: 'Dump the card log', resultLimit: {
+                    maxChars: 60, strategy: 'summarize' } } };
+
+                async TOOL_dump() {
+                    return 'card 4242 charged; '.repeat(10);
+                }
+            }
+            const seen = [];
+            const redact = {
+                beforeLLMRequest(queue, functions, ctx) {
+                    if (ctx.summary) seen.push(ctx.tool || 'conversation');
+                    return { queue: queue.map(m => ({ ...m, content: m.content?.replace(/\d{4}/g, '[REDACTED]') })) };
+                },
+            };
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'dump', arguments: {} }] })
+                .expect({}, 'ok');
+            const agent = new Dump({ provider: llm, middleware: [redact] });
+            agent.activate({ createQ: true });
+
+            await agent.recvChatMessage('card 4242 log?');
+            await agent.msgs._summarizeContext();
+
+            expect(seen).to.deep.equal(['dump', 'conversation']);
+            const summaries = llm.calls.filter(c => c.summary);
+            expect(summaries).to.have.length(2);
+            for (const call of summaries)
+                expect(call.messages[0].content).to.include('[REDACTED]').and.not.include('4242');
+        });
+    });
+
+    describe('tool calls', () => {
+        it('should run the call a beforeToolCall hook returns and rewrite the result after', async () => {
+            const llm = new ScriptedProvider().expect({}, PRICE).expect({}, 'ok');
+            const agent = shop(llm, [{
+                beforeToolCall: (call) => ({
+                    call: { ...call, function: { ...call.function, arguments: '{"item":"coffee"}' } },
+                }),
+                afterToolCall: (call, result) => result.content + ' (incl. tax)',
+            }]);
+
+            await agent.recvChatMessage('price?');
+
+            expect(agent._priced).to.deep.equal(['coffee']);
+            expect(toolReply(agent)).to.equal('coffee costs 10 (incl. tax)');
+        });
+
+        it('should answer a call from beforeToolCall without running the tool', async () => {
+            const llm = new ScriptedProvider().expect({}, PRICE).expect({}, 'ok');
+            const agent = shop(llm, [{ beforeToolCall: () => ({ result: { content: 'prices are frozen' } }) }]);
+
+            await agent.recvChatMessage('price?');
+
+            expect(agent._priced).to.deep.equal([]);
+            expect(toolReply(agent)).to.equal('prices are frozen');
+        });
+
+        it('should not rewrite cached results twice', async () => {
+            class Cached extends Shop {
+                static tools = { price: { idempotent: true } };
+            }
+            const llm = new ScriptedProvider().expect({}, PRICE).expect({}, 'ok').expect({}, PRICE).expect({}, 'ok');
+            const agent = new Cached({ provider: llm, middleware: [{ afterToolCall: (c, r) => r.content + '!' }] });
+            agent.activate({ createQ: true });
+
+            await agent.recvChatMessage('price?');
+            await agent.recvChatMessage('price again?');
+
+            const replies = agent.msgs._msgs.filter(m => m.msg.role === 'tool').map(m => m.msg.content);
+            expect(replies).to.deep.equal(['tea costs 10!', 'tea costs 10!']);
+            expect(agent._priced).to.deep.equal(['tea']);
+        });
+    });
+
+    it('should inherit middleware from ancestors, root first', async () => {
+        const order = [];
+        const recorder = (name) => ({
+            beforeLLMRequest: () => { order.push(name + ':before'); },
+            afterLLMResponse: () => { order.push(name + ':after'); },
+            beforeToolCall: () => { order.push(name + ':beforeTool'); },
+            afterToolCall: () => { order.push(name + ':afterTool'); },
+        });
+        const llm = new ScriptedProvider().expect({}, PRICE).expect({}, 'ok');
+        const root = shop(llm, [recorder('root')]);
+        const child = new Saico({ middleware: [recorder('child')] });
+        child.activate({ createQ: true });
+        root.spawn(child);
+
+        await child.recvChatMessage('price?');
+
+        expect(order).to.deep.equal([
+            'root:before', 'child:before', 'child:after', 'root:after',
+            'root:beforeTool', 'child:beforeTool', 'child:afterTool', 'root:afterTool',
+            'root:before', 'child:before', 'child:after', 'root:after',
+        ]);
+    });
+
+    it('should use config.middleware in a standalone Msgs', async () => {
+        const llm = new ScriptedProvider().expect({}, 'hello');
+        const ctx = new Msgs('p', {
+            provider: llm,
+            middleware: [{ afterLLMResponse: (r) => ({ ...r, content: 'bye' }) }],
+        });
+
+        const reply = await ctx.sendMessage('user', 'hi');
+
+        expect(reply.content).to.equal('bye');
+    });
+});
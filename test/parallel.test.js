@@ -0,0 +1,183 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Agent whose lookups take `ms` and record how many ran at once
+class Travel extends Saico {
+    constructor(opt) {
+        super(opt);
+        this._running = 0;
+        this._peak = 0;
+        this._finished = [];
+        this.booked = null;
+    }
+
+    async _slow(name, ms) {
+        this._running++;
+        this._peak = Math.max(this._peak, this._running);
+        await delay(ms);
+        this._running--;
+        this._finished.push(name);
+    }
+
+    async TOOL_lookup({ city, ms }) {
+        await this._slow(city, ms);
+        return 'weather in ' + city;
+    }
+
+    async TOOL_book({ city }) {
+        await this._slow('book', 5);
+        this.booked = city;
+        return 'booked ' + city;
+    }
+}
+
+const FUNCTIONS = [
+    { name: 'lookup', parameters: { type: 'object' }, parallelSafe: true },
+    { name: 'book', parameters: { type: 'object' } },
+];
+
+function lookup(city, ms = 20) {
+    return { name: 'lookup', arguments: { city, ms } };
+}
+
+describe('parallel tool calls', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    function agent(calls, opt = {}) {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: calls })
+            .expect({}, 'done');
+        const a = new Travel({ provider: llm, functions: FUNCTIONS, ...opt });
+        a.activate({ createQ: true });
+        return a;
+    }
+
+    function toolResponses(a) {
+        return a.msgs._msgs.filter(m => m.msg.role === 'tool').map(m => m.msg.content);
+    }
+
+    it('should run tool calls one at a time by default', async () => {
+        const a = agent([lookup('Paris'), lookup('Rome'), lookup('Oslo')]);
+        await a.recvChatMessage('plan a trip');
+        expect(a._peak).to.equal(1);
+    });
+
+    it('should run parallelSafe calls concurrently and insert responses as sequential runs do', async () => {
+        const calls = [lookup('Paris', 40), lookup('Rome', 10), lookup('Oslo', 20)];
+        const sequential = agent(calls);
+        await sequential.recvChatMessage('plan a trip');
+        Itask.root.clear();
+        const a = agent(calls, { parallel_tools: true });
+
+        await a.recvChatMessage('plan a trip');
+
+        expect(a._peak).to.equal(3);
+        expect(a._finished).to.deep.equal(['Rome', 'Oslo', 'Paris']);
+        expect(toolResponses(a)).to.deep.equal(toolResponses(sequential));
+        // Responses directly follow the tool_calls message
+        const at = a.msgs._msgs.findIndex(m => m.msg.tool_calls);
+        expect(a.msgs._msgs.slice(at + 1, at + 4).every(m => m.msg.role === 'tool')).to.be.true;
+    });
+
+    it('should respect tool_concurrency', async () => {
+        const a = agent([lookup('Paris'), lookup('Rome'), lookup('Oslo'), lookup('Lima')],
+            { parallel_tools: true, tool_concurrency: 2 });
+        await a.recvChatMessage('plan a trip');
+        expect(a._peak).to.equal(2);
+        expect(toolResponses(a)).to.have.length(4);
+    });
+
+    it('should run calls that are not parallelSafe alone', async () => {
+        const a = agent([lookup('Paris'), { name: 'book', arguments: { city: 'Paris' } }, lookup('Rome')],
+            { parallel_tools: true });
+
+        await a.recvChatMessage('book it');
+
+        expect(a._peak).to.equal(1);
+        expect(a._finished).to.deep.equal(['Paris', 'book', 'Rome']);
+    });
+
+    it('should attribute state changes in a concurrent batch to the mutating call', async () => {
+        class Mutating extends Travel {
+            async TOOL_lookup({ city, ms }) {
+                await this._slow(city, ms);
+                if (city === 'Rome') this.booked = 'Rome';
+                return 'weather in ' + city;
+            }
+        }
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [lookup('Paris', 30), lookup('Rome', 10), lookup('Oslo', 20)] })
+            .expect({}, 'done');
+        const a = new Mutating({ provider: llm, functions: FUNCTIONS, parallel_tools: true });
+        a.activate({ createQ: true });
+
+        await a.recvChatMessage('plan a trip');
+
+        expect(a.msgs.tool_digest.map(d => d.result)).to.deep.equal(['weather in Rome']);
+    });
+
+    it('should accept the activate() override and parallelize deferred calls', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [lookup('Paris')] })
+            .expect({}, { tool_calls: [lookup('Rome'), lookup('Oslo')] })
+            .expect({}, 'after Rome and Oslo');
+        const a = new Travel({ provider: llm, functions: FUNCTIONS, max_depth: 2 });
+        a.activate({ createQ: true, parallel_tools: true });
+
+        await a.recvChatMessage('plan a trip');
+
+        expect(a.msgs.parallel_tools).to.be.true;
+        expect(a._peak).to.equal(2);
+        expect(toolResponses(a)).to.have.members(['weather in Paris', 'weather in Rome', 'weather in Oslo']);
+        expect(llm.pending).to.equal(0);
+    });
+
+    it('should not send parallelSafe to OpenAI', async () => {
+        const create = sandbox.stub(openai.client.chat.completions, 'create').resolves({
+            choices: [{ message: { role: 'assistant', content: 'x' } }],
+        });
+        const ctx = new Msgs('p', { functions: FUNCTIONS });
+
+        await ctx.sendMessage('user', 'hi');
+
+        expect(create.firstCall.args[0].tools[0]).to.deep.equal({
+            type: 'function',
+            function: { name: 'lookup', parameters: { type: 'object' } },
+        });
+    });
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const permissions = require('../permissions.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+class Billing extends Saico {
+    static tools = {
+        charge_card: { description: 'Charge the card on file' },
+        search_orders: { description: 'Search orders' },
+    };
+
+    constructor(opt) {
+        super(opt);
+        this._ran = [];
+    }
+
+    async TOOL_charge_card() {
+        this._ran.push('charge_card');
+        return 'charged';
+    }
+
+    async TOOL_search_orders() {
+        this._ran.push('search_orders');
+        return 'order 42';
+    }
+}
+
+class Helper extends Saico {
+    static tools = { lookup: { description: 'Look something up' } };
+
+    async TOOL_lookup() {
+        return 'found';
+    }
+}
+
+function toolReply(saico) {
+    return saico.msgs._msgs.find(m => m.msg.role === 'tool')?.msg.content;
+}
+
+describe('tool permissions', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('policy helpers', () => {
+        it('should validate policies', () => {
+            expect(permissions.normalize(null)).to.be.null;
+            expect(permissions.normalize({ deny: 'charge_*' })).to.deep.equal({ deny: ['charge_*'] });
+            expect(() => permissions.normalize({ allow: 5 })).to.throw('toolPolicy.allow must be');
+            expect(() => permissions.normalize({ resolve: ['siblings'] })).to.throw('Unknown toolPolicy.resolve');
+            expect(() => permissions.normalize({ share: { peers: true } })).to.throw('Unknown toolPolicy.share');
+            expect(() => new Saico({ toolPolicy: { resolve: 'everywhere' } })).to.throw('Unknown toolPolicy.resolve');
+        });
+
+        it('should match wildcards and apply deny before allow along the chain', () => {
+            expect(permissions.matches(['search_*'], 'search_orders')).to.be.true;
+            expect(permissions.matches(['search_*'], 'research')).to.be.false;
+            expect(permissions.matches(['a.b'], 'axb')).to.be.false;
+
+            const chain = [
+                { name: 'root', toolPolicy: { deny: ['charge_*'] } },
+                { name: 'child', toolPolicy: { allow: ['search_*', 'charge_card'] } },
+            ];
+            expect(permissions.check(chain, 'search_orders')).to.be.null;
+            expect(permissions.check(chain, 'charge_card')).to.equal('"charge_card" is denied by the tool policy of root');
+            expect(permissions.check(chain, 'lookup')).to.equal('"lookup" is not among the tools allowed by child');
+        });
+    });
+
+    describe('exposure', () => {
+        it('should hide denied tools from the model', async () => {
+            const llm = new ScriptedProvider().expect({}, 'ok');
+            const billing = new Billing({ provider: llm, toolPolicy: { deny: ['charge_card'] } });
+            billing.activate({ createQ: true });
+
+            await billing.sendMessage('hi');
+
+            expect(llm.calls[0].functions.map(f => f.name)).to.deep.equal(['search_orders']);
+        });
+
+        it('should apply ancestor rules and share rules to descendants', async () => {
+            const llm = new ScriptedProvider().expect({}, 'ok');
+            const root = new Billing({ provider: llm, toolPolicy: { share: { descendants: ['search_*'] } } });
+            root.activate({ createQ: true });
+            const helper = new Helper();
+            helper.activate({ createQ: true });
+            root.spawn(helper);
+
+            await helper.sendMessage('hi');
+
+            expect(llm.calls[0].functions.map(f => f.name)).to.deep.equal(['search_orders', 'lookup']);
+        });
+
+        it('should drop ancestor functions when resolve excludes ancestors', async () => {
+            const llm = new ScriptedProvider().expect({}, 'ok');
+            const root = new Billing({ provider: llm });
+            root.activate({ createQ: true });
+            const helper = new Helper({ toolPolicy: { resolve: ['self'] } });
+            helper.activate({ createQ: true });
+            root.spawn(helper);
+
+            await helper.sendMessage('hi');
+
+            expect(llm.calls[0].functions.map(f => f.name)).to.deep.equal(['lookup']);
+        });
+    });
+
+    describe('execution', () => {
+        it('should refuse a denied call, tell the model and emit tool_denied', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'charge_card', arguments: {} }] })
+                .expect({}, 'I cannot charge the card.');
+            const billing = new Billing({ name: 'billing', provider: llm, toolPolicy: { allow: ['search_*'] } });
+            billing.activate({ createQ: true });
+            const denied = [];
+            billing.on('tool_denied', e => denied.push(e));
+
+            await billing.recvChatMessage('charge me');
+
+            expect(billing._ran).to.deep.equal([]);
+            expect(toolReply(billing)).to.include('Tool "charge_card" is not permitted here');
+            expect(toolReply(billing)).to.include('not among the tools allowed by billing');
+            expect(denied).to.deep.equal([{
+                tool: 'charge_card',
+                reason: '"charge_card" is not among the tools allowed by billing',
+                saico: { id: billing.id, name: 'billing' },
+            }]);
+        });
+
+        it('should not let a child run an ancestor tool that is not shared', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'charge_card', arguments: {} }] })
+                .expect({}, 'ok');
+            const root = new Billing({ name: 'billing', provider: llm, toolPolicy: { share: { descendants: false } } });
+            root.activate({ createQ: true });
+            const helper = new Helper({ name: 'helper' });
+            helper.activate({ createQ: true });
+            root.spawn(helper);
+
+            await helper.recvChatMessage('charge it');
+
+            expect(root._ran).to.deep.equal([]);
+            expect(toolReply(helper)).to.include('billing does not share "charge_card" with its descendants');
+        });
+
+        it('should not let a parent reach into descendants when resolve forbids it', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'lookup', arguments: {} }] })
+                .expect({}, 'ok');
+            const root = new Billing({ name: 'billing', provider: llm, toolPolicy: { resolve: ['self', 'ancestors'] } });
+            root.activate({ createQ: true });
+            root.spawn(new Helper());
+
+            await root.sendMessage('look it up', [{ name: 'lookup' }]);
+
+            expect(toolReply(root)).to.include('billing may not use tools of its descendants');
+        });
+
+        it('should keep reporting unknown tools as missing implementations', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'teleport', arguments: {} }] })
+                .expect({}, 'ok');
+            const billing = new Billing({ provider: llm, toolPolicy: { deny: ['charge_card'] } });
+            billing.activate({ createQ: true });
+
+            await billing.recvChatMessage('go');
+
+            expect(toolReply(billing)).to.include('No implementation found for tool "teleport"');
+        });
+
+        it('should persist the policy', async () => {
+            const billing = new Billing({ toolPolicy: { deny: 'charge_card' } });
+            billing.activate({ createQ: true });
+            const restored = await Billing.deserialize(await billing.serialize());
+            expect(restored.toolPolicy).to.deep.equal({ deny: ['charge_card'] });
+        });
+    });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const tokens = require('../tokens.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+class Booking extends Saico {
+    static tools = {
+        book: { description: 'Book a table' },
+    };
+
+    async TOOL_book() {
+        return { content: 'Confirmed: table 7 at 8pm, ref BK-42', pinned: true };
+    }
+}
+
+// A Q holding n replied user/assistant messages m0, m1, ... with m1 pinned
+function withPin(n, config = {}) {
+    const ctx = new Msgs('p', { provider: new ScriptedProvider(), queue_limit: 3, min_chat_messages: 1, ...config });
+    for (let i = 0; i < n; i++)
+        ctx.push({ role: i % 2 ? 'assistant' : 'user', content: 'm' + i }, { pinned: i === 1 });
+    return ctx;
+}
+
+function contents(messages) {
+    return messages.map(m => m.content);
+}
+
+describe('pinned messages', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        tokens.setContextWindows(tokens.DEFAULT_CONTEXT_WINDOWS, { replace: true });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    it('should keep a pinned message in the queue past QUEUE_LIMIT, in place', () => {
+        const ctx = withPin(8);
+
+        expect(contents(ctx._createMsgQ())).to.deep.equal(['p', 'm1', 'm5', 'm6', 'm7']);
+        expect(contents(ctx._createMsgQ(null, false, 'other'))).to.deep.equal(['p', 'm1']);
+    });
+
+    it('should leave pinned messages out of summarization', async () => {
+        const ctx = withPin(4);
+
+        await ctx._summarizeContext();
+
+        expect(contents(ctx.messages)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'm1']);
+        expect(ctx._provider.calls[0].messages[0].content).to.include('m2').and.not.include('m1');
+    });
+
+    it('should keep pinned messages when a request is fitted to the model window', async () => {
+        tokens.setContextWindows({ 'tiny-model': 50 });
+        const llm = new ScriptedProvider().expect({}, 'ok');
+        const ctx = withPin(8, { provider: llm, model: 'tiny-model', reply_tokens: 0, queue_limit: 30,
+            auto_summarize: false });
+
+        await ctx.sendMessage('user', 'next');
+
+        expect(contents(llm.calls[0].messages)).to.deep.equal(['p', 'm1', 'm6', 'm7', 'next']);
+    });
+
+    it('should send a pinned TOOL_ result and its call when the window is tight', async () => {
+        tokens.setContextWindows({ 'tiny-model': 60 });
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [{ name: 'book', arguments: {} }] })
+            .expect({}, 'Booked.');
+        for (let i = 0; i < 3; i++)
+            llm.expect({}, 'a' + i);
+        const agent = new Booking({ provider: llm, model: 'tiny-model',
+            sessionConfig: { reply_tokens: 0, auto_summarize: false } });
+        agent.activate({ createQ: true });
+
+        await agent.recvChatMessage('A table for 4 please');
+        for (let i = 0; i < 3; i++)
+            await agent.recvChatMessage('q' + i);
+
+        // The oldest messages around the booking round are left out, not the round itself
+        const sent = llm.calls[llm.calls.length - 1].messages;
+        expect(sent[0].tool_calls).to.have.length(1);
+        expect(sent[1]).to.include({ role: 'tool', content: 'Confirmed: table 7 at 8pm, ref BK-42',
+            tool_call_id: sent[0].tool_calls[0].id });
+        expect(contents(sent.slice(2))).to.deep.equal(['a0', 'q1', 'a1', 'q2']);
+    });
+
+    it('should persist pinned messages past QUEUE_LIMIT and pin them again on restore', async () => {
+        const ctx = withPin(8);
+        ctx.push({ role: 'assistant', content: '', tool_calls: [{ id: 'c1' }] });
+        ctx.push({ role: 'tool', content: 'r1', tool_call_id: 'c1' }, { pinned: true });
+        ctx.push({ role: 'assistant', content: 'done' });
+
+        const stored = await ctx.prepareForStorage();
+        const restored = new Msgs('p', { chat_history: stored.chat_history, pinned: stored.pinned });
+        await restored.initHistory();
+
+        expect(stored.pinned).to.deep.equal([0, 3, 4]);
+        expect(contents(restored.messages)).to.deep.equal(['m1', 'm6', 'm7', '', 'r1', 'done']);
+        expect([...restored._pinnedEntries()].map(m => m.msg.content)).to.deep.equal(['m1', '', 'r1']);
+    });
+
+    it('should pin a TOOL_ result together with its tool call', async () => {
+        const llm = new ScriptedProvider()
+            .expect({}, { tool_calls: [{ name: 'book', arguments: {} }] })
+            .expect({}, 'Booked.');
+        const agent = new Booking({ provider: llm });
+        agent.activate({ createQ: true });
+
+        await agent.recvChatMessage('A table for 4 please');
+        await agent.msgs._summarizeContext();
+
+        const kept = agent.msgs.messages;
+        expect(kept.map(m => m.role)).to.deep.equal(['user', 'assistant', 'tool']);
+        expect(kept[0].content).to.equal('[SUMMARY]: Scripted summary.');
+        expect(kept[2].content).to.equal('Confirmed: table 7 at 8pm, ref BK-42');
+        expect(kept[1].tool_calls[0].id).to.equal(kept[2].tool_call_id);
+    });
+
+    it('should pin a chat message and restore the pin through Saico serialization', async () => {
+        const llm = new ScriptedProvider().expect({}, 'Noted.');
+        const agent = new Saico({ provider: llm, sessionConfig: { queue_limit: 1 } });
+        agent.activate({ createQ: true });
+
+        await agent.recvChatMessage('I am allergic to nuts', { pinned: true });
+        agent.msgs.push({ role: 'user', content: 'later' });
+        const restored = await Saico.deserialize(await agent.serialize(), { provider: llm });
+
+        const pinned = [...restored.msgs._pinnedEntries()].map(m => m.msg.content);
+        expect(pinned).to.deep.equal(['I am allergic to nuts']);
+        expect(contents(restored.msgs.messages)).to.deep.equal(['I am allergic to nuts', 'later']);
+    });
+
+    it('should keep pin and backend flags through bubbling and a serialization round trip', async () => {
+        const llm = new ScriptedProvider().expect({}, 'Noted.').expect({}, 'Sure.');
+        const parent = new Saico({ provider: llm });
+        parent.activate({ createQ: true });
+        const child = new Saico({ name: 'child' });
+        child.activate({ createQ: true });
+        parent.spawn(child);
+
+        await child.sendMessage('Order 17 is prepaid', null, { pinned: true });
+        await child.recvChatMessage('No nuts please', { pinned: true });
+        await child.deactivate();
+
+        const bubbled = parent.msgs._msgs.map(m => ({ content: m.msg.content, pinned: !!m.pinned,
+            backend: !!m.backend }));
+        expect(bubbled).to.deep.equal([
+            { content: '[BACKEND] Order 17 is prepaid', pinned: true, backend: true },
+            { content: 'Noted.', pinned: false, backend: false },
+            { content: 'No nuts please', pinned: true, backend: false },
+            { content: 'Sure.', pinned: false, backend: false },
+        ]);
+
+        const restored = await Saico.deserialize(await parent.serialize(), { provider: llm });
+        const flags = restored.msgs._msgs.map(m => [!!m.pinned, !!m.backend]);
+        expect(flags).to.deep.equal([[true, true], [false, false], [true, false], [false, false]]);
+        expect(restored.getRecentMessages().map(m => m.content)).to.deep.equal(['Noted.', 'No nuts please', 'Sure.']);
+
+        await restored.msgs._summarizeContext();
+        expect(contents(restored.msgs.messages)).to.deep.equal(['[BACKEND] Order 17 is prepaid',
+            '[SUMMARY]: Scripted summary.', 'No nuts please']);
+    });
+});
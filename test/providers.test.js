@@ -0,0 +1,177 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const providers = require('../providers.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+function fakeProvider(content) {
+    return { send: sinon.stub().resolves({ role: 'assistant', content }) };
+}
+
+describe('LLM providers', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        sandbox.stub(openai, 'send').resolves({ content: 'AI response' });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        providers.setDefault('openai');
+        for (const name of providers.list())
+            if (name !== 'openai') providers.unregister(name);
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('registry', () => {
+        it('should register openai as the default provider', () => {
+            expect(providers.get('openai')).to.equal(openai);
+            expect(providers.getDefault()).to.equal(openai);
+            expect(providers.resolve()).to.equal(openai);
+        });
+
+        it('should register and resolve by name', () => {
+            const p = fakeProvider('x');
+            providers.register('fake', p);
+            expect(providers.resolve('fake')).to.equal(p);
+            expect(providers.list()).to.include.members(['openai', 'fake']);
+        });
+
+        it('should resolve provider objects as-is', () => {
+            const p = fakeProvider('x');
+            expect(providers.resolve(p)).to.equal(p);
+        });
+
+        it('should reject providers without send()', () => {
+            expect(() => providers.register('bad', {})).to.throw('must implement send()');
+            expect(() => providers.resolve({})).to.throw('Invalid provider');
+        });
+
+        it('should throw for unknown names', () => {
+            expect(() => providers.resolve('nope')).to.throw('Unknown provider: nope');
+            expect(() => providers.setDefault('nope')).to.throw('Unknown provider: nope');
+        });
+
+        it('should not unregister the default provider', () => {
+            expect(() => providers.unregister('openai')).to.throw('Cannot unregister');
+        });
+    });
+
+    describe('Msgs', () => {
+        it('should use the library default when nothing is configured', async () => {
+            const ctx = new Msgs('prompt', {});
+            await ctx.sendMessage('user', 'hello');
+            expect(openai.send.calledOnce).to.be.true;
+        });
+
+        it('should use config.provider when set', async () => {
+            const p = fakeProvider('from fake');
+            const ctx = new Msgs('prompt', { provider: p });
+            const reply = await ctx.sendMessage('user', 'hello');
+            expect(p.send.calledOnce).to.be.true;
+            expect(openai.send.called).to.be.false;
+            expect(reply.content).to.equal('from fake');
+        });
+
+        it('should pass the Msgs tag to the provider', async () => {
+            const p = fakeProvider('ok');
+            const ctx = new Msgs('prompt', { provider: p, tag: 't1' });
+            await ctx.sendMessage('user', 'hello');
+            expect(p.send.getCall(0).args[3]).to.deep.equal({ tag: 't1' });
+        });
+
+        it('should use the provider for summarization', async () => {
+            const p = fakeProvider('summary');
+            const ctx = new Msgs('prompt', { provider: p });
+            ctx.push({ role: 'user', content: 'hi' });
+            await ctx.close();
+            expect(p.send.calledOnce).to.be.true;
+            expect(p.send.getCall(0).args[3]).to.include({ summary: true });
+            expect(ctx.getSummaries()).to.have.length(1);
+        });
+
+        it('should follow a new library default', async () => {
+            const p = fakeProvider('ok');
+            Saico.registerProvider('fake', p, { default: true });
+            const ctx = new Msgs('prompt', {});
+            await ctx.sendMessage('user', 'hello');
+            expect(p.send.calledOnce).to.be.true;
+            expect(openai.send.called).to.be.false;
+        });
+    });
+
+    describe('Saico hierarchy', () => {
+        it('should use opt.provider for its own msgs Q', async () => {
+            const p = fakeProvider('ok');
+            const s = new Saico({ prompt: 'p', provider: p });
+            s.activate({ createQ: true });
+            await s.sendMessage('hello');
+            expect(p.send.calledOnce).to.be.true;
+            expect(openai.send.called).to.be.false;
+        });
+
+        it('should accept a registered provider name', async () => {
+            const p = fakeProvider('ok');
+            Saico.registerProvider('fake', p);
+            const s = new Saico({ prompt: 'p', provider: 'fake' });
+            s.activate({ createQ: true });
+            await s.recvChatMessage('hello');
+            expect(p.send.calledOnce).to.be.true;
+        });
+
+        it('should inherit the provider from an ancestor', async () => {
+            const p = fakeProvider('ok');
+            const root = new Saico({ prompt: 'root', provider: p });
+            root.activate({ createQ: true });
+            const mid = new Saico({ name: 'mid' });
+            root.spawn(mid);
+            const leaf = new Saico({ prompt: 'leaf', createQ: true });
+            mid.spawn(leaf);
+
+            expect(leaf._getProvider()).to.equal(p);
+            await leaf.sendMessage('hello');
+            expect(p.send.calledOnce).to.be.true;
+            expect(openai.send.called).to.be.false;
+        });
+
+        it('should prefer the nearest provider', async () => {
+            const rootP = fakeProvider('root');
+            const childP = fakeProvider('child');
+            const root = new Saico({ prompt: 'root', provider: rootP });
+            root.activate({ createQ: true });
+            const child = new Saico({ prompt: 'child', provider: childP, createQ: true });
+            root.spawn(child);
+
+            await child.sendMessage('hello');
+            expect(childP.send.calledOnce).to.be.true;
+            expect(rootP.send.called).to.be.false;
+        });
+
+        it('should fall back to the library default', () => {
+            const s = new Saico();
+            expect(s._getProvider()).to.equal(openai);
+            expect(Saico.getProvider()).to.equal(openai);
+        });
+    });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const results = require('../results.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const BIG = 'A'.repeat(50) + 'B'.repeat(50);
+
+function toolReply(saico) {
+    return saico.msgs._msgs.find(m => m.msg.role === 'tool').msg.content;
+}
+
+describe('tool result limits', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('helpers', () => {
+        it('should normalize limits', () => {
+            expect(results.normalize(undefined)).to.be.null;
+            expect(results.normalize(100)).to.deep.equal({ maxChars: 100, strategy: 'truncate', stash: null });
+            expect(() => results.normalize({ maxChars: 0 })).to.throw('maxChars must be a positive number');
+            expect(() => results.normalize({ maxChars: 10, strategy: 'drop' })).to.throw('Unknown resultLimit.strategy');
+            expect(() => results.normalize({ maxChars: 10, stash: 's3' })).to.throw('Unknown resultLimit.stash');
+            expect(() => new Saico({ tool_result_limit: -1 }).activate({ createQ: true }))
+                .to.throw('maxChars must be a positive number');
+        });
+
+        it('should truncate with a marker', () => {
+            expect(results.truncate('short', 10)).to.equal('short');
+            expect(results.truncate(BIG, 10)).to.equal('AAAAAAAAAA\n[... truncated: 90 of 100 characters omitted]');
+        });
+
+        it('should keep head and tail', () => {
+            expect(results.headTail(BIG, 10)).to.equal('AAAAA\n[... 90 of 100 characters omitted ...]\nBBBBB');
+            expect(results.headTail(BIG, 1)).to.equal('A\n[... 99 of 100 characters omitted ...]\n');
+        });
+
+        it('should drop the oldest stashed results past the size cap', () => {
+            const stash = {
+                a: { id: 'a', content: 'x'.repeat(40), tm: 1 },
+                b: { id: 'b', content: 'x'.repeat(40), tm: 2 },
+                c: { id: 'c', content: 'x'.repeat(40), tm: 3 },
+            };
+            expect(Object.keys(results.trimStash(stash, 100))).to.deep.equal(['c', 'b']);
+            expect(Object.keys(results.trimStash(stash, 10))).to.deep.equal(['c']);
+            expect(Object.keys(results.trimStash(stash))).to.have.length(3);
+        });
+    });
+
+    describe('on tool calls', () => {
+        class Search extends Saico {
+            static tools = {
+                search: { description: 'Search', resultLimit: { maxChars: 10, strategy: 'head_tail' } },
+                dump: { description: 'Dump everything' },
+            };
+
+            async TOOL_search() {
+                return BIG;
+            }
+
+            async TOOL_dump() {
+                return BIG;
+            }
+        }
+
+        function run(tool, opt = {}, llm) {
+            llm = llm || new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: tool, arguments: {} }] })
+                .expect({}, 'ok');
+            const agent = new Search({ provider: llm, ...opt });
+            agent.activate({ createQ: true });
+            return agent;
+        }
+
+        it('should apply the limit of the tool', async () => {
+            const agent = run('search');
+            await agent.recvChatMessage('go');
+            expect(toolReply(agent)).to.equal(results.headTail(BIG, 10));
+        });
+
+        it('should leave results without a limit untouched', async () => {
+            const agent = run('dump');
+            await agent.recvChatMessage('go');
+            expect(toolReply(agent)).to.equal(BIG);
+        });
+
+        it('should apply tool_result_limit to tools without their own limit', async () => {
+            const agent = run('dump', { tool_result_limit: 20 });
+            await agent.recvChatMessage('go');
+            expect(toolReply(agent)).to.equal(results.truncate(BIG, 20));
+        });
+
+        it('should summarize with the LLM', async () => {
+            const llm = new ScriptedProvider({ summary: null })
+                .expect({}, { tool_calls: [{ name: 'dump', arguments: {} }] })
+                .expect({ summary: true, where: r => r.messages[0].content.includes(BIG) }, '50 As then 50 Bs')
+                .expect({ where: r => r.messages.some(m => m.role === 'tool' && m.content.includes('50 As')) },
+                    'ok');
+            const agent = run('dump', { tool_result_limit: { maxChars: 60, strategy: 'summarize' } }, llm);
+
+            await agent.recvChatMessage('go');
+
+            expect(toolReply(agent)).to.equal('[Summarized tool result] 50 As then 50 Bs');
+            llm.verify();
+        });
+
+        it('should stash the full result in userData for paging', async () => {
+            const agent = run('dump', { tool_result_limit: { maxChars: 10, stash: 'userData' } });
+            await agent.recvChatMessage('go');
+
+            const ref = agent.id + ':call_scripted_1';
+            expect(toolReply(agent)).to.equal(results.truncate(BIG, 10) + results.stashNote(ref, 100));
+
+            const first = await agent.readToolResult(ref, { length: 60 });
+            expect(first).to.deep.equal({
+                ref, tool: 'dump', content: BIG.slice(0, 60), offset: 0, total: 100, next: 60,
+            });
+            const second = await agent.readToolResult(ref, { offset: first.next, length: 60 });
+            expect(second.content).to.equal(BIG.slice(60));
+            expect(second.next).to.be.null;
+            expect(await agent.readToolResult('unknown')).to.be.null;
+        });
+
+        it('should stash the full result in its own DB table', async () => {
+            const tables = {};
+            const db = {
+                put: async (item, table) => { (tables[table] ||= {})[item.id] = item; },
+                get: async (key, value, table) => tables[table]?.[value] || null,
+            };
+            const agent = run('dump', { db, store: 'agents', tool_result_limit: { maxChars: 10, stash: 'db' } });
+            await agent.recvChatMessage('go');
+
+            const ref = agent.id + ':call_scripted_1';
+            expect(tables.tool_results[ref]).to.include({ tool: 'dump', content: BIG, type: 'tool_result' });
+            expect(tables.agents).to.be.undefined;
+            expect(agent.userData.tool_results).to.be.undefined;
+            expect((await agent.readToolResult(ref, { offset: 90 })).content).to.equal('BBBBBBBBBB');
+
+            const custom = run('dump', { db, toolResultStore: 'dumps',
+                tool_result_limit: { maxChars: 10, stash: 'db' } });
+            await custom.recvChatMessage('go');
+            expect(tables.dumps).to.have.property(custom.id + ':call_scripted_1');
+        });
+
+        it('should stash in userData when there is no DB backend', async () => {
+            const agent = run('dump', { tool_result_limit: { maxChars: 10, stash: 'db' } });
+            await agent.recvChatMessage('go');
+
+            const ref = agent.id + ':call_scripted_1';
+            expect(toolReply(agent)).to.equal(results.truncate(BIG, 10) + results.stashNote(ref, 100));
+            expect(agent.userData.tool_results[ref].content).to.equal(BIG);
+        });
+
+        it('should still reduce the result when stashing fails', async () => {
+            const db = { put: async () => { throw new Error('table missing'); } };
+            const agent = run('dump', { db, tool_result_limit: { maxChars: 10, stash: 'db' } });
+            await agent.recvChatMessage('go');
+            expect(toolReply(agent)).to.equal(results.truncate(BIG, 10));
+        });
+    });
+});
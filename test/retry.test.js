@@ -0,0 +1,218 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const retry = require('../retry.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const { withRetry, isRetryable, retryAfterMs, LLMError, LLMRetryExhaustedError, LLMDeadlineError } = retry;
+
+const FAST = { base_delay: 1, max_delay: 5, jitter: 0 };
+
+function httpError(status, message = 'http ' + status, headers) {
+    return Object.assign(new Error(message), { status, headers });
+}
+
+describe('retry', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        openai.setRetryPolicy(null);
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('isRetryable', () => {
+        it('should retry rate limits, 5xx, overload and connection errors', () => {
+            for (const status of [408, 429, 500, 502, 503, 504, 529])
+                expect(isRetryable(httpError(status)), String(status)).to.be.true;
+            expect(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).to.be.true;
+            expect(isRetryable(Object.assign(new Error('t'), { code: 'ETIMEDOUT' }))).to.be.true;
+        });
+
+        it('should not retry client errors or exhausted quota', () => {
+            expect(isRetryable(httpError(400))).to.be.false;
+            expect(isRetryable(httpError(401))).to.be.false;
+            expect(isRetryable(Object.assign(httpError(429), { code: 'insufficient_quota' }))).to.be.false;
+            expect(isRetryable(new Error('plain'))).to.be.false;
+        });
+    });
+
+    describe('retryAfterMs', () => {
+        it('should read retry-after-ms, retry-after and the message hint', () => {
+            expect(retryAfterMs(httpError(429, 'x', { 'retry-after-ms': '250' }))).to.equal(250);
+            expect(retryAfterMs(httpError(429, 'x', { 'retry-after': '2' }))).to.equal(2000);
+            expect(retryAfterMs(httpError(429, 'x', new Map([['retry-after', '1']])))).to.equal(1000);
+            expect(retryAfterMs(httpError(429, 'Please try again in 1.5s.'))).to.equal(1500);
+            expect(retryAfterMs(httpError(429, 'Please try again in 20ms.'))).to.equal(20);
+            expect(retryAfterMs(httpError(500))).to.be.undefined;
+        });
+    });
+
+    describe('withRetry', () => {
+        it('should retry transient failures and return the result', async () => {
+            const fn = sinon.stub();
+            fn.onCall(0).rejects(httpError(503));
+            fn.onCall(1).rejects(Object.assign(new Error('reset'), { code: 'ECONNRESET' }));
+            fn.onCall(2).resolves('ok');
+
+            expect(await withRetry(fn, FAST)).to.equal('ok');
+            expect(fn.callCount).to.equal(3);
+            expect(fn.thirdCall.args[0]).to.equal(3);
+        });
+
+        it('should throw LLMError without retrying a permanent failure', async () => {
+            const cause = httpError(400, 'bad request');
+            const fn = sinon.stub().rejects(cause);
+            try {
+                await withRetry(fn, FAST);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMError);
+                expect(e).to.not.be.instanceOf(LLMRetryExhaustedError);
+                expect(e.message).to.equal('bad request');
+                expect(e.status).to.equal(400);
+                expect(e.cause).to.equal(cause);
+            }
+            expect(fn.callCount).to.equal(1);
+        });
+
+        it('should throw LLMRetryExhaustedError after the configured retries', async () => {
+            const fn = sinon.stub().rejects(httpError(429));
+            try {
+                await withRetry(fn, { ...FAST, retries: 2 }, 'Test request');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMRetryExhaustedError);
+                expect(e.attempts).to.equal(3);
+                expect(e.status).to.equal(429);
+                expect(e.message).to.include('Test request failed after 3 attempts');
+            }
+            expect(fn.callCount).to.equal(3);
+        });
+
+        it('should throw LLMDeadlineError when the next wait passes the deadline', async () => {
+            const fn = sinon.stub().rejects(httpError(429, 'slow down', { 'retry-after': '10' }));
+            try {
+                await withRetry(fn, { ...FAST, deadline: 1000 });
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMDeadlineError);
+                expect(e.attempts).to.equal(1);
+            }
+        });
+
+        it('should pass the remaining deadline as the attempt timeout', async () => {
+            const fn = sinon.stub().resolves('ok');
+            await withRetry(fn, { deadline: 5000 });
+            expect(fn.firstCall.args[1].timeout).to.be.within(4900, 5000);
+
+            await withRetry(fn, { deadline: 0 });
+            expect(fn.secondCall.args[1].timeout).to.be.undefined;
+
+            // No deadline by default, so the provider's own request timeout applies
+            await withRetry(fn);
+            expect(fn.thirdCall.args[1].timeout).to.be.undefined;
+        });
+
+        it('should honor a custom classifier', async () => {
+            const fn = sinon.stub();
+            fn.onCall(0).rejects(new Error('flaky'));
+            fn.onCall(1).resolves('ok');
+            expect(await withRetry(fn, { ...FAST, retryable: e => e.message === 'flaky' })).to.equal('ok');
+        });
+    });
+
+    describe('openai.send', () => {
+        let create;
+
+        beforeEach(() => {
+            create = sandbox.stub(openai.client.chat.completions, 'create');
+        });
+
+        it('should retry with the module policy and return the message', async () => {
+            openai.setRetryPolicy(FAST);
+            create.onCall(0).rejects(httpError(500));
+            create.onCall(1).resolves({ choices: [{ message: { role: 'assistant', content: 'hi' } }] });
+
+            const msg = await openai.send([{ role: 'user', content: 'x' }]);
+            expect(msg.content).to.equal('hi');
+            expect(create.callCount).to.equal(2);
+            // No deadline: the SDK's own request timeout applies
+            expect(create.firstCall.args[1]).to.be.undefined;
+        });
+
+        it('should apply per-call overrides from opts.retry', async () => {
+            openai.setRetryPolicy(FAST);
+            create.rejects(httpError(503));
+            try {
+                await openai.send([], null, null, { retry: { retries: 1 } });
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMRetryExhaustedError);
+            }
+            expect(create.callCount).to.equal(2);
+        });
+
+        it('should throw instead of returning undefined on an empty reply', async () => {
+            create.resolves({ choices: [] });
+            try {
+                await openai.send([]);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMError);
+                expect(e.message).to.include('no choices');
+            }
+        });
+    });
+
+    describe('Saico and Msgs', () => {
+        it('should pass the Saico retry policy to the provider', async () => {
+            const send = sandbox.stub(openai, 'send').resolves({ content: 'ok' });
+            const s = new Saico({ prompt: 'p', retry: { retries: 1 } });
+            s.activate({ createQ: true });
+
+            await s.sendMessage('hello');
+
+            expect(send.firstCall.args[3].retry).to.deep.equal({ retries: 1 });
+        });
+
+        it('should reject sendMessage with a typed error once retries are exhausted', async () => {
+            const create = sandbox.stub(openai.client.chat.completions, 'create').rejects(httpError(529, 'overloaded'));
+            const ctx = new Msgs('p', { retry: { ...FAST, retries: 2 } });
+
+            try {
+                await ctx.sendMessage('user', 'hello');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(LLMRetryExhaustedError);
+                expect(e.status).to.equal(529);
+            }
+            expect(create.callCount).to.equal(3);
+        });
+    });
+});
@@ -0,0 +1,207 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const routing = require('../routing.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+describe('routing', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('policy helpers', () => {
+        it('should normalize names and policies', () => {
+            expect(routing.normalize('gpt-5')).to.deep.equal({ default: 'gpt-5' });
+            expect(routing.normalize({ summary: 's', fallbacks: 'f', other: 1 }))
+                .to.deep.equal({ summary: 's', fallbacks: ['f'] });
+            expect(() => routing.normalize({ escalate: { model: 'x' } })).to.throw('escalate requires');
+        });
+
+        it('should merge field by field', () => {
+            expect(routing.merge({ default: 'a', summary: 's' }, 'b', null))
+                .to.deep.equal({ default: 'b', summary: 's' });
+        });
+
+        it('should select by request, escalation and fallback', () => {
+            const policy = { default: 'a', escalate: { after: 2, model: 'big' } };
+            expect(routing.select(policy, {})).to.equal('a');
+            expect(routing.select(policy, { requested: 'r', rounds: 1 })).to.equal('r');
+            expect(routing.select(policy, { requested: 'r', rounds: 2 })).to.equal('big');
+            expect(routing.select({}, { fallback: 'p' })).to.equal('p');
+            expect(routing.candidates({ fallbacks: ['x', 'a'] }, 'a')).to.deep.equal(['a', 'x']);
+        });
+    });
+
+    describe('Saico', () => {
+        it('should use the constructor model and record it on stored messages', async () => {
+            const llm = new ScriptedProvider().expect({}, 'hi');
+            const s = new Saico({ provider: llm, model: 'gpt-5' });
+            s.activate({ createQ: true });
+
+            await s.sendMessage('hello');
+
+            expect(llm.calls[0].model).to.equal('gpt-5');
+            const stored = s.msgs._msgs.find(m => m.msg.role === 'assistant');
+            expect(stored.model).to.equal('gpt-5');
+        });
+
+        it('should inherit the model down the hierarchy and merge activate() overrides', async () => {
+            const llm = new ScriptedProvider().expect({}, 'a').expect({}, 'b');
+            const root = new Saico({ provider: llm, model: { default: 'root-model', summary: 'cheap' } });
+            root.activate({ createQ: true });
+            const child = new Saico();
+            child.activate({ createQ: true });
+            root.spawn(child);
+            const pinned = new Saico();
+            pinned.activate({ createQ: true, model: 'activation-model' });
+            root.spawn(pinned);
+
+            await child.sendMessage('x');
+            await pinned.sendMessage('y');
+
+            expect(llm.calls.map(c => c.model)).to.deep.equal(['root-model', 'activation-model']);
+            expect(pinned._getModelPolicy()).to.deep.equal({ default: 'activation-model', summary: 'cheap' });
+        });
+
+        it('should let a per-message model win over the default', async () => {
+            const llm = new ScriptedProvider().expect({}, 'x');
+            const s = new Saico({ provider: llm, model: 'gpt-5-mini' });
+            s.activate({ createQ: true });
+
+            await s.sendMessage('hello', null, { model: 'gpt-5' });
+
+            expect(llm.calls[0].model).to.equal('gpt-5');
+        });
+
+        it('should escalate after N tool-call rounds', async () => {
+            class Agent extends Saico {
+                async TOOL_step() {
+                    return 'ok';
+                }
+            }
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'step', arguments: { n: 1 } }] })
+                .expect({}, { tool_calls: [{ name: 'step', arguments: { n: 2 } }] })
+                .expect({}, 'done');
+            const s = new Agent({
+                provider: llm,
+                functions: [{ name: 'step' }],
+                model: { default: 'small', escalate: { after: 2, model: 'large' } },
+            });
+            s.activate({ createQ: true });
+
+            await s.recvChatMessage('go');
+
+            expect(llm.calls.map(c => c.model)).to.deep.equal(['small', 'small', 'large']);
+            expect(s.msgs._msgs.filter(m => m.model).map(m => m.model)).to.deep.equal(['small', 'small', 'large']);
+        });
+
+        it('should fall back to the next model when a call fails', async () => {
+            const provider = {
+                send: sinon.stub().callsFake(async (messages, functions, model) => {
+                    if (model === 'primary') throw new Error('model overloaded');
+                    return { role: 'assistant', content: 'from ' + model };
+                }),
+            };
+            const s = new Saico({ provider, model: { default: 'primary', fallbacks: ['secondary'] } });
+            s.activate({ createQ: true });
+
+            const reply = await s.sendMessage('hello');
+
+            expect(reply.content).to.equal('from secondary');
+            expect(provider.send.getCalls().map(c => c.args[2])).to.deep.equal(['primary', 'secondary']);
+            expect(s.msgs._msgs.find(m => m.msg.role === 'assistant').model).to.equal('secondary');
+        });
+
+        it('should keep the model of each reply through a serialization round trip', async () => {
+            const llm = new ScriptedProvider().expect({}, 'quick').expect({}, 'careful');
+            const s = new Saico({ provider: llm, model: 'small' });
+            s.activate({ createQ: true });
+            await s.recvChatMessage('hello');
+            await s.recvChatMessage('think', { model: 'large' });
+
+            const stored = await s.msgs.prepareForStorage();
+            const restored = await Saico.deserialize(await s.serialize(), { provider: llm });
+
+            expect(stored.models).to.deep.equal({ 1: 'small', 3: 'large' });
+            expect(restored.msgs._msgs.map(m => m.model)).to.deep.equal([undefined, 'small', undefined, 'large']);
+        });
+
+        it('should throw the last error when all fallbacks fail', async () => {
+            const provider = { send: sinon.stub().rejects(new Error('down')) };
+            const s = new Saico({ provider, model: { default: 'a', fallbacks: ['b'] } });
+            s.activate({ createQ: true });
+            try {
+                await s.sendMessage('hello');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.equal('down');
+            }
+            expect(provider.send.callCount).to.equal(2);
+        });
+
+        it('should use the summary model for summarization', async () => {
+            const llm = new ScriptedProvider();
+            const s = new Saico({ provider: llm, model: { default: 'big', summary: 'cheap' } });
+            s.activate({ createQ: true });
+            s.msgs.push({ role: 'user', content: 'hi' });
+
+            await s.msgs.close();
+
+            expect(llm.calls[0].summary).to.be.true;
+            expect(llm.calls[0].model).to.equal('cheap');
+        });
+
+        it('should persist the model', async () => {
+            const s = new Saico({ model: { default: 'a', fallbacks: ['b'] } });
+            s.activate({ createQ: true });
+            const restored = await Saico.deserialize(await s.serialize());
+            expect(restored.model).to.deep.equal({ default: 'a', fallbacks: ['b'] });
+        });
+    });
+
+    describe('Msgs and the OpenAI default', () => {
+        it('should accept a model policy in standalone config', async () => {
+            const llm = new ScriptedProvider().expect({}, 'x');
+            const ctx = new Msgs('p', { provider: llm, model: 'standalone-model' });
+            await ctx.sendMessage('user', 'hi');
+            expect(llm.calls[0].model).to.equal('standalone-model');
+        });
+
+        it('should send the OpenAI module default when nothing is configured', async () => {
+            sandbox.stub(openai, 'send').resolves({ content: 'x' });
+            const ctx = new Msgs('p');
+            await ctx.sendMessage('user', 'hi');
+            expect(openai.send.firstCall.args[2]).to.equal(openai.model);
+        });
+    });
+});
@@ -415,7 +415,7 @@ describe('Saico', function () {
             // Also add a BACKEND msg that should be filtered
             child.msgs._msgs.push({
                 msg: { role: 'user', content: '[BACKEND] internal' },
-                opts: {}, msgid: 'c3', replied: 1,
+                opts: {}, msgid: 'c3', replied: 1, backend: true,
             });
 
             const parentMsgsBefore = parent.msgs._msgs.length;
@@ -663,7 +663,7 @@ describe('Saico', function () {
                 { msg: { role: 'user', content: 'Hello' }, opts: {}, replied: 1 },
                 { msg: { role: 'assistant', content: 'Hi!' }, opts: {}, replied: 3 },
                 { msg: { role: 'tool', content: 'result' }, opts: {}, replied: 1 },
-                { msg: { role: 'user', content: '[BACKEND] internal' }, opts: {}, replied: 1 },
+                { msg: { role: 'user', content: '[BACKEND] internal' }, opts: {}, replied: 1, backend: true },
                 { msg: { role: 'assistant', content: 'Done', tool_calls: [{}] }, opts: {}, replied: 3 },
             );
 
@@ -0,0 +1,239 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const schema = require('../schema.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { AnthropicProvider } = require('../anthropic.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const { validate, parseJson, responseFormat, StructuredOutputError } = schema;
+
+const FLIGHT = {
+    type: 'object',
+    properties: {
+        from: { type: 'string', minLength: 3, maxLength: 3 },
+        to: { type: 'string', pattern: '^[A-Z]{3}$' },
+        stops: { type: 'integer', minimum: 0 },
+        cabin: { enum: ['economy', 'business'] },
+    },
+    required: ['from', 'to', 'stops'],
+    additionalProperties: false,
+};
+
+describe('schema', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('validate', () => {
+        it('should accept a conforming value', () => {
+            expect(validate({ from: 'TLV', to: 'JFK', stops: 0, cabin: 'economy' }, FLIGHT)).to.deep.equal([]);
+        });
+
+        it('should report every violation with its path', () => {
+            const errors = validate({ from: 'TL', to: 'jfk', stops: 1.5, cabin: 'first', seat: '1A' }, FLIGHT);
+            expect(schema.formatErrors(errors)).to.deep.equal([
+                '/from: must be at least 3 characters',
+                '/to: must match pattern ^[A-Z]{3}$',
+                '/stops: must be integer, got number',
+                '/cabin: must be one of ["economy","business"]',
+                '/seat: is not an allowed property',
+            ]);
+        });
+
+        it('should report missing required properties and wrong root types', () => {
+            expect(schema.formatErrors(validate({ from: 'TLV' }, FLIGHT)))
+                .to.deep.equal(['/to: is required', '/stops: is required']);
+            expect(schema.formatErrors(validate([], FLIGHT))).to.deep.equal(['(root): must be object, got array']);
+        });
+
+        it('should validate arrays, nested objects and $refs', () => {
+            const s = {
+                type: 'array',
+                minItems: 1,
+                items: { $ref: '#/$defs/leg' },
+                $defs: { leg: { type: 'object', properties: { price: { type: 'number', exclusiveMinimum: 0 } } } },
+            };
+            expect(validate([{ price: 10 }], s)).to.deep.equal([]);
+            expect(schema.formatErrors(validate([{ price: 10 }, { price: 0 }], s))).to.deep.equal(['/1/price: must be > 0']);
+            expect(schema.formatErrors(validate([], s))).to.deep.equal(['(root): must have at least 1 items']);
+        });
+
+        it('should support type unions, nullable, anyOf, oneOf and formats', () => {
+            expect(validate(null, { type: ['string', 'null'] })).to.deep.equal([]);
+            expect(validate(null, { type: 'string', nullable: true })).to.deep.equal([]);
+            expect(validate(5, { anyOf: [{ type: 'string' }, { type: 'integer' }] })).to.deep.equal([]);
+            expect(validate(5, { oneOf: [{ type: 'number' }, { type: 'integer' }] })[0].message)
+                .to.include('matched 2');
+            expect(validate('2026-10-18', { type: 'string', format: 'date' })).to.deep.equal([]);
+            expect(validate('tomorrow', { type: 'string', format: 'date' })).to.have.length(1);
+        });
+
+        it('should report an invalid pattern instead of throwing', () => {
+            expect(schema.formatErrors(validate({ to: 'JFK' }, { properties: { to: { type: 'string', pattern: '(' } } })))
+                .to.deep.equal(['/to: invalid pattern ( in the schema']);
+        });
+    });
+
+    describe('coerce', () => {
+        it('should convert simple mismatches toward the schema', () => {
+            const s = {
+                type: 'object',
+                properties: {
+                    stops: { type: 'integer' },
+                    price: { type: 'number' },
+                    direct: { type: 'boolean' },
+                    code: { type: 'string' },
+                    legs: { type: 'array', items: { type: 'integer' } },
+                },
+            };
+            expect(schema.coerce({ stops: '2', price: '9.5', direct: 'false', code: 42, legs: '3', x: '1' }, s))
+                .to.deep.equal({ stops: 2, price: 9.5, direct: false, code: '42', legs: [3], x: '1' });
+        });
+
+        it('should leave values it cannot convert for validate to report', () => {
+            const s = { type: 'object', properties: { stops: { type: 'integer' } } };
+            const input = { stops: '1.5' };
+            expect(schema.coerce(input, s)).to.deep.equal({ stops: '1.5' });
+            expect(validate(schema.coerce(input, s), s)).to.have.length(1);
+            expect(schema.coerce({ stops: '' }, s)).to.deep.equal({ stops: '' });
+        });
+    });
+
+    describe('parseJson', () => {
+        it('should parse plain, fenced and embedded JSON', () => {
+            expect(parseJson('{"a":1}').value).to.deep.equal({ a: 1 });
+            expect(parseJson('Here you go:\n```json\n{"a":2}\n```').value).to.deep.equal({ a: 2 });
+            expect(parseJson('Looking it up.\n{"a":3}').value).to.deep.equal({ a: 3 });
+        });
+
+        it('should describe unparseable replies', () => {
+            expect(parseJson('').error).to.equal('reply is empty, expected JSON');
+            expect(parseJson('no json here').error).to.include('reply is not valid JSON');
+        });
+    });
+
+    describe('responseFormat', () => {
+        it('should accept a bare schema or a wrapper', () => {
+            expect(responseFormat(FLIGHT)).to.deep.equal({ schema: FLIGHT, name: 'response', strict: false, retries: 2 });
+            expect(responseFormat({ schema: FLIGHT, name: 'flight', retries: 0, strict: true }))
+                .to.deep.equal({ schema: FLIGHT, name: 'flight', strict: true, retries: 0 });
+            expect(responseFormat(null)).to.be.null;
+        });
+    });
+
+    describe('structured output', () => {
+        const good = '{"from":"TLV","to":"JFK","stops":0}';
+
+        it('should resolve with the parsed object alongside the raw message', async () => {
+            const llm = new ScriptedProvider().expect({}, good);
+            const ctx = new Msgs('p', { provider: llm });
+
+            const reply = await ctx.sendMessage('user', 'find a flight', null, { responseSchema: FLIGHT });
+
+            expect(reply.content).to.equal(good);
+            expect(reply.parsed).to.deep.equal({ from: 'TLV', to: 'JFK', stops: 0 });
+            expect(llm.calls[0].response_schema).to.deep.equal({ name: 'response', schema: FLIGHT, strict: false });
+            // The stored message is not mutated
+            expect(ctx._msgs.some(m => m.msg.parsed)).to.be.false;
+        });
+
+        it('should re-ask with the validation errors', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, '{"from":"TLV","to":"jfk"}')
+                .expect({ lastUser: '/stops: is required' }, good);
+            const ctx = new Msgs('p', { provider: llm });
+
+            const reply = await ctx.sendMessage('user', 'find a flight', null, { responseSchema: FLIGHT });
+
+            expect(reply.parsed.to).to.equal('JFK');
+            const reask = llm.calls[1].messages[llm.calls[1].messages.length - 1].content;
+            expect(reask).to.include('/to: must match pattern');
+            expect(llm.calls[1].response_schema).to.not.be.null;
+            llm.verify();
+        });
+
+        it('should throw StructuredOutputError after the retries', async () => {
+            const llm = new ScriptedProvider().expect({}, 'sorry').expect({}, 'still prose');
+            const ctx = new Msgs('p', { provider: llm });
+
+            try {
+                await ctx.sendMessage('user', 'x', null, { responseSchema: { schema: FLIGHT, retries: 1 } });
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(StructuredOutputError);
+                expect(e.attempts).to.equal(2);
+                expect(e.content).to.equal('still prose');
+                expect(e.errors[0]).to.include('not valid JSON');
+            }
+            llm.verify();
+        });
+
+        it('should run tool calls before the structured answer', async () => {
+            class Agent extends Saico {
+                async TOOL_search() {
+                    return 'TLV-JFK nonstop';
+                }
+            }
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'search', arguments: {} }] })
+                .expect({ where: r => r.response_schema !== null }, good);
+            const agent = new Agent({ provider: llm, functions: [{ name: 'search' }] });
+            agent.activate({ createQ: true });
+
+            const reply = await agent.sendMessage('find a flight', null, { responseSchema: FLIGHT });
+
+            expect(reply.parsed.stops).to.equal(0);
+            llm.verify();
+        });
+
+        it('should request json_schema output from OpenAI', async () => {
+            const create = sandbox.stub(openai.client.chat.completions, 'create').resolves({
+                choices: [{ message: { role: 'assistant', content: good } }],
+            });
+            const ctx = new Msgs('p');
+
+            const reply = await ctx.sendMessage('user', 'x', null, { responseSchema: { schema: FLIGHT, name: 'flight' } });
+
+            expect(reply.parsed.from).to.equal('TLV');
+            expect(create.firstCall.args[0].response_format).to.deep.equal({
+                type: 'json_schema', json_schema: { name: 'flight', schema: FLIGHT, strict: false },
+            });
+        });
+
+        it('should instruct Anthropic through the system prompt', () => {
+            const body = new AnthropicProvider()._toRequest([{ role: 'user', content: 'x' }], null, null,
+                { response_schema: { name: 'flight', schema: FLIGHT } });
+            expect(body.system).to.include('conforms to this JSON Schema');
+            expect(body.system).to.include('"required":["from","to","stops"]');
+        });
+    });
+});
@@ -0,0 +1,222 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider, ScriptedProviderError } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+describe('ScriptedProvider', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        sandbox.stub(openai, 'send').rejects(new Error('network disabled in tests'));
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('turns', () => {
+        it('should serve replies in order', async () => {
+            const llm = new ScriptedProvider()
+                .expect({ lastUser: 'first' }, 'one')
+                .expect({ lastUser: /second/ }, { content: 'two' });
+            const ctx = new Msgs('p', { provider: llm });
+
+            expect((await ctx.sendMessage('user', 'first message')).content).to.equal('one');
+            expect((await ctx.sendMessage('user', 'the second')).content).to.equal('two');
+            expect(llm.pending).to.equal(0);
+            expect(llm.calls).to.have.length(2);
+            llm.verify();
+        });
+
+        it('should match on tag and function names', async () => {
+            const llm = new ScriptedProvider()
+                .expect({ tag: 'billing', functions: ['charge'] }, 'ok');
+            const ctx = new Msgs('p', { provider: llm, tag: 'billing', functions: [{ name: 'charge' }, { name: 'refund' }] });
+
+            await ctx.sendMessage('user', 'go');
+            llm.verify();
+        });
+
+        it('should accept predicate matchers and reply functions', async () => {
+            const llm = new ScriptedProvider()
+                .expect({ lastUser: c => c.length === 3, where: r => r.messages.length === 2 },
+                    req => 'echo ' + req.messages[1].content);
+            const ctx = new Msgs('p', { provider: llm });
+
+            const reply = await ctx.sendMessage('user', 'abc');
+            expect(reply.content).to.equal('echo abc');
+        });
+
+        it('should expand short-form tool calls', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'a', arguments: { x: 1 } }, { name: 'b', arguments: '{}', id: 'fixed' }] });
+
+            const reply = await llm.send([{ role: 'user', content: 'x' }]);
+            expect(reply).to.deep.equal({
+                role: 'assistant',
+                content: null,
+                tool_calls: [
+                    { id: 'call_scripted_1', type: 'function', function: { name: 'a', arguments: '{"x":1}' } },
+                    { id: 'fixed', type: 'function', function: { name: 'b', arguments: '{}' } },
+                ],
+            });
+        });
+
+        it('should return a fresh message on every call', async () => {
+            const canned = { content: 'same' };
+            const llm = new ScriptedProvider().expect({}, canned).expect({}, canned);
+            const a = await llm.send([]);
+            a.content += ' mutated';
+            const b = await llm.send([]);
+            expect(b.content).to.equal('same');
+        });
+    });
+
+    describe('failures', () => {
+        it('should throw on unexpected turns', async () => {
+            const llm = new ScriptedProvider();
+            const ctx = new Msgs('p', { provider: llm });
+            try {
+                await ctx.sendMessage('user', 'hello');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e).to.be.instanceOf(ScriptedProviderError);
+                expect(e.message).to.include('no scripted turns left');
+                expect(e.message).to.include('user: hello');
+            }
+        });
+
+        it('should throw on mismatched turns and remember the failure', async () => {
+            const llm = new ScriptedProvider().expect({ lastUser: 'weather' }, 'sunny');
+            const ctx = new Msgs('p', { provider: llm });
+            try {
+                await ctx.sendMessage('user', 'refund please');
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.include('does not match turn #1');
+                expect(e.message).to.include('lastUser "weather" vs "refund please"');
+            }
+            expect(() => llm.verify()).to.throw(ScriptedProviderError, 'does not match turn #1');
+        });
+
+        it('should report missing functions', async () => {
+            const llm = new ScriptedProvider().expect({ functions: ['a', 'b'] }, 'x');
+            try {
+                await llm.send([], [{ name: 'a' }]);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.include('functions missing [b], available [a]');
+            }
+        });
+
+        it('should fail verify() on unconsumed turns', () => {
+            const llm = new ScriptedProvider().expect({ lastUser: 'x', functions: ['f'] }, 'y');
+            expect(() => llm.verify()).to.throw('1 scripted turn(s) not consumed, ' +
+                'next is turn #1 { lastUser: "x", functions: ["f"] }');
+        });
+
+        it('should require a reply', () => {
+            expect(() => new ScriptedProvider().expect({})).to.throw('reply is required');
+        });
+    });
+
+    describe('summarization', () => {
+        it('should answer summaries automatically by default', async () => {
+            const llm = new ScriptedProvider();
+            const ctx = new Msgs('p', { provider: llm });
+            ctx.push({ role: 'user', content: 'hi' });
+
+            await ctx.close();
+
+            expect(ctx.getSummaries()[0].msg.content).to.equal('[SUMMARY]: Scripted summary.');
+            llm.verify();
+        });
+
+        it('should require scripted summaries when opt.summary is null', async () => {
+            const llm = new ScriptedProvider({ summary: null })
+                .expect({ summary: true }, 'custom summary');
+            const ctx = new Msgs('p', { provider: llm });
+            ctx.push({ role: 'user', content: 'hi' });
+
+            await ctx.close();
+
+            expect(ctx.getSummaries()[0].msg.content).to.equal('[SUMMARY]: custom summary');
+            llm.verify();
+        });
+    });
+
+    describe('Saico hierarchy end to end', () => {
+        class TravelSession extends Saico {
+            constructor(opt) {
+                super({ name: 'session', prompt: 'You are a travel agent.', ...opt });
+                this.bookings = [];
+            }
+            async TOOL_book_hotel(args) {
+                this.bookings.push(args.city);
+                return `Booked hotel in ${args.city}`;
+            }
+        }
+
+        class SearchTask extends Saico {
+            constructor() {
+                super({
+                    name: 'search',
+                    prompt: 'Find hotels.',
+                    createQ: true,
+                    functions: [{ name: 'search_hotels' }],
+                });
+            }
+            async TOOL_search_hotels(args) {
+                return `3 hotels in ${args.city}`;
+            }
+        }
+
+        it('should drive child and ancestor TOOL_ methods offline', async () => {
+            const llm = new ScriptedProvider();
+            const session = new TravelSession({ provider: llm, functions: [{ name: 'book_hotel' }] });
+            session.activate({ createQ: true });
+            const search = session.spawn(new SearchTask());
+
+            llm
+                .expect({ lastUser: 'Rome', tag: search.msgs_id, functions: ['search_hotels', 'book_hotel'] },
+                    { tool_calls: [{ name: 'search_hotels', arguments: { city: 'Rome' } }] })
+                .expect({ where: r => r.messages[r.messages.length - 1].content === '3 hotels in Rome' },
+                    { content: 'Booking the first one.',
+                        tool_calls: [{ name: 'book_hotel', arguments: { city: 'Rome' } }] })
+                .expect({ tag: search.msgs_id }, 'Your hotel in Rome is booked.');
+
+            const reply = await search.recvChatMessage('Find me a hotel in Rome');
+
+            expect(reply.content).to.include('Your hotel in Rome is booked.');
+            expect(session.bookings).to.deep.equal(['Rome']);
+            // book_hotel mutated the session's state, not the search task's — no digest in search Q
+            expect(search.msgs.tool_digest).to.have.length(0);
+            expect(openai.send.called).to.be.false;
+            llm.verify();
+        });
+    });
+});
@@ -0,0 +1,196 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+// Build a fake chat-completions stream from a list of deltas
+function chunks(deltas) {
+    return {
+        async *[Symbol.asyncIterator]() {
+            for (const delta of deltas)
+                yield { choices: [{ index: 0, delta }] };
+        },
+    };
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const ev of stream)
+        events.push(ev);
+    return events;
+}
+
+describe('Streaming', function () {
+    let sandbox;
+    let create;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        sandbox.stub(openai, 'send').resolves({ content: 'AI response' });
+        create = sandbox.stub(openai.client.chat.completions, 'create');
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('openai.stream', () => {
+        it('should forward content deltas and assemble the message', async () => {
+            create.resolves(chunks([{ role: 'assistant', content: 'Hel' }, { content: 'lo' }, {}]));
+            const deltas = [];
+
+            const msg = await openai.stream([{ role: 'user', content: 'hi' }], null, null,
+                { onDelta: d => deltas.push(d) });
+
+            expect(create.getCall(0).args[0].stream).to.be.true;
+            expect(create.getCall(0).args[0].model).to.equal('gpt-5-mini');
+            expect(deltas).to.deep.equal([
+                { type: 'content', delta: 'Hel' },
+                { type: 'content', delta: 'lo' },
+            ]);
+            expect(msg).to.deep.equal({ role: 'assistant', content: 'Hello' });
+        });
+
+        it('should assemble tool calls from fragments', async () => {
+            create.resolves(chunks([
+                { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'lookup', arguments: '' } }] },
+                { tool_calls: [{ index: 0, function: { arguments: '{"q":' } }] },
+                { tool_calls: [{ index: 1, id: 'call_2', function: { name: 'other', arguments: '{}' } }] },
+                { tool_calls: [{ index: 0, function: { arguments: '"x"}' } }] },
+            ]));
+            const deltas = [];
+
+            const msg = await openai.stream([{ role: 'user', content: 'hi' }], [{ name: 'lookup' }], 'gpt-x',
+                { onDelta: d => deltas.push(d) });
+
+            expect(create.getCall(0).args[0].tools).to.deep.equal([{ type: 'function', function: { name: 'lookup' } }]);
+            expect(msg.content).to.be.null;
+            expect(msg.tool_calls).to.deep.equal([
+                { id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } },
+                { id: 'call_2', type: 'function', function: { name: 'other', arguments: '{}' } },
+            ]);
+            expect(deltas.every(d => d.type === 'tool_call_delta')).to.be.true;
+            expect(deltas[1]).to.include({ index: 0, id: 'call_1', name: 'lookup', delta: '{"q":' });
+        });
+    });
+
+    describe('Saico.recvChatMessage({ stream: true })', () => {
+        it('should yield content deltas then the final message', async () => {
+            create.resolves(chunks([{ content: 'Hi ' }, { content: 'there' }]));
+            const s = new Saico({ prompt: 'p' });
+            s.activate({ createQ: true });
+
+            const stream = await s.recvChatMessage('hello', { stream: true });
+            const events = await collect(stream);
+
+            expect(events.map(e => e.type)).to.deep.equal(['content', 'content', 'done']);
+            expect(events.slice(0, 2).map(e => e.delta).join('')).to.equal('Hi there');
+            expect(events[2].message.content).to.equal('Hi there');
+            expect(await stream.result).to.equal(events[2].message);
+            expect(openai.send.called).to.be.false;
+
+            // Final assembled message is stored in the Q
+            const last = s.msgs._msgs[s.msgs._msgs.length - 1];
+            expect(last.msg).to.deep.equal({ role: 'assistant', content: 'Hi there' });
+        });
+
+        it('should run tool calls and stream the follow-up reply', async () => {
+            class Agent extends Saico {
+                async TOOL_lookup(args) { return 'found ' + args.q; }
+            }
+            create.onFirstCall().resolves(chunks([
+                { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'lookup', arguments: '{"q":"x"}' } }] },
+            ]));
+            create.onSecondCall().resolves(chunks([{ content: 'Result: ' }, { content: 'found x' }]));
+
+            const s = new Agent({ prompt: 'p', functions: [{ name: 'lookup' }] });
+            s.activate({ createQ: true });
+
+            const events = await collect(await s.recvChatMessage('look up x', { stream: true }));
+            const types = events.map(e => e.type);
+
+            expect(types).to.deep.equal(['tool_call_delta', 'tool_call', 'tool_call', 'content', 'content', 'done']);
+            expect(events[1]).to.include({ status: 'started', id: 'call_1', name: 'lookup' });
+            expect(events[2]).to.include({ status: 'finished', id: 'call_1', content: 'found x' });
+            expect(events[5].message.content).to.include('Result: found x');
+
+            // Tool response was sent back to the model in the second request
+            const secondQ = create.getCall(1).args[0].messages;
+            expect(secondQ.some(m => m.role === 'tool' && m.tool_call_id === 'call_1')).to.be.true;
+
+            const roles = s.msgs.__msgs.map(m => m.role);
+            expect(roles).to.deep.equal(['user', 'assistant', 'tool', 'assistant']);
+        });
+
+        it('should fall back to a single delta for providers without stream()', async () => {
+            const provider = { send: sinon.stub().resolves({ role: 'assistant', content: 'whole reply' }) };
+            const s = new Saico({ prompt: 'p', provider });
+            s.activate({ createQ: true });
+
+            const events = await collect(await s.recvChatMessage('hello', { stream: true }));
+
+            expect(events).to.have.length(2);
+            expect(events[0]).to.deep.equal({ type: 'content', delta: 'whole reply' });
+            expect(events[1].type).to.equal('done');
+        });
+
+        it('should surface provider errors through the iterator', async () => {
+            create.rejects(Object.assign(new Error('boom'), { status: 400 }));
+            sandbox.stub(console, 'error');
+            const s = new Saico({ prompt: 'p' });
+            s.activate({ createQ: true });
+
+            const stream = await s.recvChatMessage('hello', { stream: true });
+            try {
+                await collect(stream);
+                expect.fail('should have thrown');
+            } catch (e) {
+                expect(e.message).to.equal('boom');
+            }
+        });
+
+        it('should leave non-streaming calls unchanged', async () => {
+            const s = new Saico({ prompt: 'p' });
+            s.activate({ createQ: true });
+
+            const reply = await s.recvChatMessage('hello');
+
+            expect(reply.content).to.equal('AI response');
+            expect(create.called).to.be.false;
+        });
+    });
+
+    describe('Saico.sendMessage({ stream: true })', () => {
+        it('should stream backend messages', async () => {
+            create.resolves(chunks([{ content: 'ok' }]));
+            const s = new Saico({ prompt: 'p' });
+            s.activate({ createQ: true });
+
+            const events = await collect(await s.sendMessage('refresh', null, { stream: true }));
+
+            expect(events.map(e => e.type)).to.deep.equal(['content', 'done']);
+            const sent = create.getCall(0).args[0].messages;
+            expect(sent.some(m => m.content === '[BACKEND] refresh')).to.be.true;
+        });
+    });
+});
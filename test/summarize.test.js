@@ -0,0 +1,276 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const summarize = require('../summarize.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+// A Q holding n replied user/assistant messages: m0, m1, ...
+function filled(n, config = {}) {
+    const ctx = new Msgs('p', { provider: new ScriptedProvider(), ...config });
+    for (let i = 0; i < n; i++)
+        ctx.push({ role: i % 2 ? 'assistant' : 'user', content: 'm' + i });
+    return ctx;
+}
+
+function contents(ctx) {
+    return ctx._msgs.map(m => m.msg.content);
+}
+
+// The conversation sent with the i-th summarization request
+function summarized(ctx, i = 0) {
+    return ctx._provider.calls[i].messages[0].content;
+}
+
+describe('summarization strategies', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    it('should validate configs and register custom strategies', () => {
+        expect(summarize.normalize().name).to.equal('collapse');
+        expect(summarize.normalize({ strategy: 'rolling', count: 5, prompt: 'x' }))
+            .to.include({ name: 'rolling', prompt: 'x' }).and.to.have.deep.property('options', { count: 5 });
+        expect(() => summarize.normalize('forgetful')).to.throw('Unknown summarization strategy: forgetful');
+        expect(() => new Saico({ summarization: 'forgetful' })).to.throw('Unknown summarization strategy');
+        expect(() => summarize.register('bad', {})).to.throw('must implement summarize()');
+        expect(summarize.list()).to.include.members(['collapse', 'rolling', 'hierarchical', 'facts']);
+    });
+
+    it('should collapse every replied message into one summary by default', async () => {
+        const ctx = filled(4);
+        ctx.pushSummary('earlier');
+        ctx._msgs.push({ msg: { role: 'user', content: 'waiting' }, opts: {}, msgid: 'w', replied: 0 });
+
+        await ctx._summarizeContext();
+
+        expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'waiting']);
+        expect(summarized(ctx)).to.match(/^Please summarize the following conversation/);
+        expect(summarized(ctx)).to.include('[SUMMARY]: earlier');
+    });
+
+    describe('rolling', () => {
+        it('should fold only the oldest messages into the running summary', async () => {
+            const ctx = filled(8, { summarization: { strategy: 'rolling', count: 3 } });
+
+            await ctx._summarizeContext();
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'm3', 'm4', 'm5', 'm6', 'm7']);
+
+            await ctx._summarizeContext();
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'm6', 'm7']);
+            expect(summarized(ctx, 1)).to.include('[SUMMARY]: Scripted summary.').and.include('m5')
+                .and.not.include('m6');
+        });
+
+        it('should not separate a tool call from its responses', async () => {
+            const ctx = filled(1, { summarization: { strategy: 'rolling', count: 2 } });
+            ctx.push({ role: 'assistant', content: '', tool_calls: [{ id: 'c1' }, { id: 'c2' }] });
+            ctx.push({ role: 'tool', content: 'r1', tool_call_id: 'c1' });
+            ctx.push({ role: 'tool', content: 'r2', tool_call_id: 'c2' });
+            ctx.push({ role: 'assistant', content: 'done' });
+
+            await ctx._summarizeContext();
+
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'done']);
+        });
+
+        it('should summarize everything on close', async () => {
+            const ctx = filled(6, { summarization: { strategy: 'rolling', count: 2 } });
+            await ctx.close();
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.']);
+        });
+    });
+
+    describe('hierarchical', () => {
+        it('should summarize full levels into a summary of the next level', async () => {
+            const ctx = filled(2, { summarization: { strategy: 'hierarchical', fanout: 2 } });
+            const levels = () => ctx.getSummaries().map(m => m.opts.summary_level);
+
+            await ctx._summarizeContext();
+            expect(levels()).to.deep.equal([1]);
+
+            ctx.push({ role: 'user', content: 'later' });
+            await ctx._summarizeContext();
+            expect(levels()).to.deep.equal([2]);
+            expect(ctx._provider.calls).to.have.length(3);
+            expect(summarized(ctx, 2).match(/Scripted summary/g)).to.have.length(2);
+
+            ctx.push({ role: 'user', content: 'even later' });
+            await ctx._summarizeContext();
+            expect(levels()).to.deep.equal([2, 1]);
+            expect(contents(ctx)).to.have.length(2);
+        });
+    });
+
+    describe('facts', () => {
+        it('should keep extracted facts as the summary and in userData', async () => {
+            const llm = new ScriptedProvider({ summary: null })
+                .expect({ summary: true }, '```json\n{"guest":"Ann","party_size":4}\n```');
+            const agent = new Saico({ provider: llm, userData: { facts: { table: 7 } },
+                sessionConfig: { summarization: 'facts' } });
+            agent.activate({ createQ: true });
+            agent.msgs.push({ role: 'user', content: 'Table for 4, name is Ann' });
+
+            await agent.msgs._summarizeContext();
+
+            expect(agent.userData.facts).to.deep.equal({ table: 7, guest: 'Ann', party_size: 4 });
+            expect(contents(agent.msgs)).to.deep.equal(['[SUMMARY]: Known facts:\n- guest: Ann\n- party_size: 4']);
+            expect(llm.calls[0].messages[0].content).to.include('JSON object mapping');
+        });
+
+        it('should keep the reply as the summary when it has no facts object', async () => {
+            const ctx = filled(2, { summarization: 'facts' });
+            await ctx._summarizeContext();
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.']);
+        });
+    });
+
+    describe('automatic summarization', () => {
+        // 8 replied messages; with the prompt and the next message the queue is 100 tokens
+        function long(auto_summarize, llm = new ScriptedProvider()) {
+            return filled(8, { token_limit: 1000, auto_summarize, provider: llm });
+        }
+
+        it('should summarize before the call once the queue passes the threshold', async () => {
+            const llm = new ScriptedProvider().expect({ lastUser: 'next' }, 'ok');
+            const ctx = long({ threshold: 0.09 }, llm);
+
+            await ctx.sendMessage('user', 'next');
+
+            expect(llm.calls[0].summary).to.be.true;
+            expect(llm.calls[1].messages.map(m => m.content))
+                .to.deep.equal(['p', '[SUMMARY]: Scripted summary.', 'next']);
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'next', 'ok']);
+        });
+
+        it('should wait for the queue to grow when a summary cannot get it under the threshold', async () => {
+            const llm = new ScriptedProvider().expect({}, 'ok').expect({}, 'ok').expect({}, 'ok');
+            const ctx = filled(0, { token_limit: 1000, auto_summarize: { threshold: 50 }, provider: llm });
+            for (let i = 0; i < 8; i++)
+                ctx.push({ role: i % 2 ? 'assistant' : 'user', content: 'm' + i }, { pinned: i < 6 });
+
+            await ctx.sendMessage('user', 'next');
+            // Pinned messages keep the queue at 90 tokens; the next summary waits for 90 + 150
+            await ctx.sendMessage('user', 'again');
+            expect(llm.calls.filter(c => c.summary)).to.have.length(1);
+
+            for (let i = 0; i < 12; i++)
+                ctx.push({ role: i % 2 ? 'assistant' : 'user', content: 'n' + i });
+            await ctx.sendMessage('user', 'later');
+            expect(llm.calls.filter(c => c.summary)).to.have.length(2);
+            llm.verify();
+        });
+
+        it('should count the function schemas sent along', async () => {
+            util.countTokens.callsFake((msgs, model, functions) => msgs.length * 10 + (functions ? 10 : 0));
+            const functions = [{ name: 'lookup', parameters: { type: 'object' } }];
+            const without = long({ threshold: 100 }, new ScriptedProvider().expect({}, 'ok'));
+            const withFunctions = long({ threshold: 100 }, new ScriptedProvider().expect({}, 'ok'));
+
+            await without.sendMessage('user', 'next');
+            await withFunctions.sendMessage('user', 'next', functions);
+
+            expect(without.getSummaries()).to.have.length(0);
+            expect(withFunctions.getSummaries()).to.have.length(1);
+        });
+
+        it('should send the call as is and summarize in the background', async () => {
+            const llm = new ScriptedProvider().expect({ lastUser: 'next' }, 'ok');
+            const ctx = long({ mode: 'background', threshold: 50 }, llm);
+
+            await ctx.sendMessage('user', 'next');
+            await ctx._summarizing;
+
+            const request = llm.calls.find(c => !c.summary);
+            expect(request.messages).to.have.length(10);
+            expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'next', 'ok']);
+        });
+
+        it('should send the call when summarization fails or is off', async () => {
+            const failing = long({ threshold: 50 },
+                new ScriptedProvider({ summary: null })
+                    .expect({ summary: true }, () => { throw new Error('summarizer down'); })
+                    .expect({ summary: false }, 'ok'));
+            const off = long(false, new ScriptedProvider().expect({}, 'ok'));
+
+            expect((await failing.sendMessage('user', 'next')).content).to.equal('ok');
+            await off.sendMessage('user', 'next');
+
+            expect(failing.getSummaries()).to.have.length(0);
+            expect(off.getSummaries()).to.have.length(0);
+            expect(() => long({ mode: 'later' })).to.throw('Unknown auto_summarize.mode: later');
+        });
+
+        it('should take auto_summarize from the Saico session config and be off without it', async () => {
+            const agent = new Saico({ token_limit: 1000, sessionConfig: { auto_summarize: { mode: 'background' } } });
+            agent.activate({ createQ: true });
+            expect(agent.msgs.auto_summarize).to.deep.equal({ mode: 'background', threshold: 0.85 });
+
+            const plain = long(undefined, new ScriptedProvider().expect({}, 'ok'));
+            await plain.sendMessage('user', 'next');
+            expect(plain.auto_summarize).to.be.null;
+            expect(plain.getSummaries()).to.have.length(0);
+        });
+    });
+
+    it('should use the summary prompt of the Saico over the configured one', async () => {
+        class Booking extends Saico {
+            getSummaryPrompt() { return 'Keep every booking reference.'; }
+        }
+        const llm = new ScriptedProvider();
+        const configured = new Saico({ provider: llm, summarization: { strategy: 'rolling', prompt: 'Be brief.' } });
+        configured.activate({ createQ: true });
+        const booking = new Booking({ provider: llm, summarization: { prompt: 'Be brief.' } });
+        booking.activate({ createQ: true });
+        for (const agent of [configured, booking]) {
+            agent.msgs.push({ role: 'user', content: 'hi' });
+            await agent.msgs._summarizeContext();
+        }
+
+        expect(llm.calls[0].messages[0].content).to.match(/^Be brief\.\nConversation/);
+        expect(llm.calls[1].messages[0].content).to.match(/^Keep every booking reference\.\nConversation/);
+    });
+
+    it('should run a custom strategy object', async () => {
+        const keepLast = {
+            async summarize(entries, ctx) {
+                const consumed = entries.slice(0, -1);
+                return { consumed, summary: await ctx.summarize(consumed.map(m => m.msg), 'Custom.') };
+            },
+        };
+        const ctx = filled(3, { summarization: keepLast });
+
+        await ctx._summarizeContext();
+
+        expect(ctx.summarization.name).to.equal('custom');
+        expect(contents(ctx)).to.deep.equal(['[SUMMARY]: Scripted summary.', 'm2']);
+        expect(summarized(ctx)).to.match(/^Custom\./);
+    });
+});
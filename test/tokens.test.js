@@ -0,0 +1,184 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const tiktoken = require('tiktoken');
+const tokens = require('../tokens.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const LOOKUP = { name: 'lookup', description: 'Look up an order', parameters: {
+    type: 'object', properties: { order: { type: 'string' } }, required: ['order'] } };
+
+describe('tokens', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        tokens.setContextWindows(tokens.DEFAULT_CONTEXT_WINDOWS, { replace: true });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('context windows', () => {
+        it('should match models exactly, then by the longest prefix', () => {
+            expect(tokens.contextWindow('gpt-4o')).to.equal(128000);
+            expect(tokens.contextWindow('gpt-5-mini-2025-08-07')).to.equal(400000);
+            expect(tokens.contextWindow('claude-sonnet-4-5-20250929')).to.equal(200000);
+            expect(tokens.contextWindow('my-local-llm')).to.be.null;
+            expect(tokens.contextWindow()).to.be.null;
+        });
+
+        it('should merge or replace custom windows', () => {
+            tokens.setContextWindows({ 'my-local-llm': 8192 });
+            expect(tokens.contextWindow('my-local-llm')).to.equal(8192);
+            expect(tokens.contextWindow('gpt-4o')).to.equal(128000);
+
+            tokens.setContextWindows({ 'my-local-llm': 8192 }, { replace: true });
+            expect(tokens.contextWindow('gpt-4o')).to.be.null;
+        });
+    });
+
+    describe('counting', () => {
+        it('should encode known models with one cached encoder per encoding', () => {
+            tokens.free();
+            const created = sandbox.spy(tiktoken, 'get_encoding');
+
+            expect(tokens.countText('hello world', 'gpt-4o')).to.equal(2);
+            tokens.countText('hello again', 'gpt-4o-mini');
+            tokens.count([{ role: 'user', content: 'hi' }], { model: 'gpt-5' });
+
+            expect(created.callCount).to.equal(1);
+            expect(created.firstCall.args[0]).to.equal('o200k_base');
+        });
+
+        it('should estimate models tiktoken does not know instead of throwing', () => {
+            expect(tokens.countText('abcdefghi', 'claude-sonnet-4-5')).to.equal(3);
+            expect(tokens.countText('abcdefghi', 'my-local-llm')).to.equal(3);
+            expect(tokens.count([{ role: 'user', content: 'abcd' }], { model: 'claude-haiku-4-5' }))
+                .to.equal(tokens.OVERHEAD.claude.message + 2);
+        });
+
+        it('should count tool call arguments, content parts and the message overhead', () => {
+            const call = { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function',
+                function: { name: 'lookup', arguments: '{"order":"A-1001"}' } }] };
+            const withoutArgs = { ...call, tool_calls: [{ ...call.tool_calls[0],
+                function: { name: 'lookup', arguments: '' } }] };
+            expect(tokens.countMessage(call) - tokens.countMessage(withoutArgs))
+                .to.equal(tokens.countText('{"order":"A-1001"}'));
+
+            const parts = { role: 'user', content: [{ type: 'text', text: 'what is this' },
+                { type: 'image_url', image_url: { url: 'https://example.com/a.png' } }] };
+            expect(tokens.countMessage(parts)).to.equal(tokens.OVERHEAD.default.message + tokens.countText('user') +
+                tokens.countText('what is this') + tokens.OVERHEAD.default.image);
+        });
+
+        it('should count the function schemas of a request', () => {
+            const msgs = [{ role: 'system', content: 'Be helpful.' }, { role: 'user', content: 'Where is A-1001?' }];
+            const plain = tokens.count(msgs);
+
+            expect(tokens.count(msgs, { functions: [LOOKUP] }) - plain).to.equal(tokens.countFunctions([LOOKUP]));
+            expect(tokens.countFunctions([LOOKUP])).to.be.greaterThan(tokens.countText(JSON.stringify(LOOKUP)));
+            expect(tokens.countFunctions(null)).to.equal(0);
+            expect(tokens.countFunctions([{ type: 'function', function: LOOKUP }]))
+                .to.equal(tokens.countFunctions([LOOKUP]));
+        });
+
+        it('should count special-token text as plain text', async () => {
+            expect(tokens.countText('<|endoftext|>')).to.be.greaterThan(1);
+
+            util.countTokens.callThrough();
+            const llm = new ScriptedProvider().expect({}, 'ok');
+            const ctx = new Msgs('p', { provider: llm });
+            const reply = await ctx.sendMessage('user', 'What does <|endoftext|> mean?');
+            expect(reply.content).to.equal('ok');
+        });
+    });
+
+    describe('Msgs within the model window', () => {
+        // A Q with 8 replied messages m0..m7 on a model with a 50-token window
+        function small(config = {}) {
+            tokens.setContextWindows({ 'tiny-model': 50 });
+            const llm = new ScriptedProvider().expect({}, 'ok');
+            const ctx = new Msgs('p', { provider: llm, model: 'tiny-model', reply_tokens: 0, ...config });
+            for (let i = 0; i < 8; i++)
+                ctx.push({ role: i % 2 ? 'assistant' : 'user', content: 'm' + i });
+            return { ctx, llm };
+        }
+
+        it('should leave out the oldest messages of a request that does not fit', async () => {
+            const { ctx, llm } = small({ auto_summarize: false });
+            ctx._msgs[4].msg = { role: 'assistant', content: '', tool_calls: [{ id: 'c1' }] };
+            ctx._msgs[5].msg = { role: 'tool', content: 'r1', tool_call_id: 'c1' };
+
+            await ctx.sendMessage('user', 'next');
+
+            // m4 and its tool response go out together
+            expect(llm.calls[0].messages.map(m => m.content)).to.deep.equal(['p', 'm6', 'm7', 'next']);
+            expect(ctx._msgs).to.have.length(10);
+        });
+
+        it('should keep or leave out a tool round as a whole, and always send the last one', () => {
+            tokens.setContextWindows({ 'tiny-model': 50 });
+            const ctx = new Msgs('p', { model: 'tiny-model', reply_tokens: 0 });
+            const call = (...ids) => ({ role: 'assistant', content: '', tool_calls: ids.map(id => ({ id })) });
+            const response = (id) => ({ role: 'tool', content: 'r' + id, tool_call_id: id });
+            const system = { role: 'system', content: 'p' };
+
+            const earlier = [system, call('a'), response('a'), { role: 'user', content: 'u1' },
+                call('b', 'c'), response('b'), response('c')];
+            expect(ctx._fitToWindow(earlier, null, 'tiny-model'))
+                .to.deep.equal([system, { role: 'user', content: 'u1' }, ...earlier.slice(4)]);
+
+            // The last round does not fit either, but is sent whole rather than as an orphaned response
+            const last = [system, { role: 'user', content: 'u1' }, call('a', 'b', 'c'), response('a'), response('b'),
+                response('c')];
+            expect(ctx._fitToWindow(last, null, 'tiny-model')).to.deep.equal([system, ...last.slice(2)]);
+        });
+
+        it('should count the request once and each message it leaves out once', () => {
+            tokens.setContextWindows({ 'tiny-model': 50 });
+            const ctx = new Msgs('p', { model: 'tiny-model', reply_tokens: 0 });
+            const Q = [{ role: 'system', content: 'p' }];
+            for (let i = 0; i < 40; i++)
+                Q.push({ role: i % 2 ? 'assistant' : 'user', content: 'm' + i });
+
+            const sent = ctx._fitToWindow(Q, null, 'tiny-model');
+
+            expect(sent.map(m => m.content)).to.deep.equal(['p', 'm36', 'm37', 'm38', 'm39']);
+            // The whole request, the empty request, then the 36 messages left out
+            expect(util.countTokens.callCount).to.equal(38);
+        });
+
+        it('should summarize once the request nears the model window', async () => {
+            const { ctx, llm } = small({ token_limit: 1e9, auto_summarize: true });
+
+            await ctx.sendMessage('user', 'next');
+
+            expect(llm.calls[0].summary).to.be.true;
+            expect(llm.calls[1].messages.map(m => m.content))
+                .to.deep.equal(['p', '[SUMMARY]: Scripted summary.', 'next']);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+const CITY = { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] };
+
+class Weather extends Saico {
+    static tools = {
+        get_weather: { description: 'Current weather for a city', parameters: CITY, parallelSafe: true },
+        get_forecast: { description: 'Forecast for a city', parameters: CITY },
+        unimplemented: { description: 'Described but missing its TOOL_ method' },
+    };
+
+    async TOOL_get_weather({ city }) {
+        return 'sunny in ' + city;
+    }
+
+    async TOOL_get_forecast({ city }) {
+        return 'rain tomorrow in ' + city;
+    }
+
+    async TOOL_undescribed() {
+        return 'not offered to the model';
+    }
+}
+
+describe('tool descriptors', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(console, 'error');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    it('should generate functions for described TOOL_ methods', () => {
+        expect(new Weather()._getFunctions()).to.deep.equal([
+            { name: 'get_weather', description: 'Current weather for a city', parameters: CITY, parallelSafe: true },
+            { name: 'get_forecast', description: 'Forecast for a city', parameters: CITY },
+        ]);
+    });
+
+    it('should let opt.functions override a descriptor of the same name', () => {
+        const custom = { name: 'get_forecast', description: 'Overridden', parameters: CITY };
+        const names = new Weather({ functions: [custom] })._getFunctions();
+        expect(names.map(f => f.description)).to.deep.equal(['Overridden', 'Current weather for a city']);
+    });
+
+    it('should merge descriptors down the class chain', () => {
+        class Local extends Weather {
+            static tools = { get_forecast: { description: 'Local forecast' }, get_alerts: {} };
+            async TOOL_get_alerts() {
+                return 'none';
+            }
+        }
+        const functions = new Local()._getFunctions();
+        expect(functions.map(f => f.name)).to.deep.equal(['get_weather', 'get_forecast', 'get_alerts']);
+        expect(functions[1]).to.deep.equal({
+            name: 'get_forecast', description: 'Local forecast', parameters: { type: 'object', properties: {} },
+        });
+    });
+
+    it('should declare schema and implementation together with defineTool', async () => {
+        class Clock extends Saico {}
+        Clock.defineTool('now', { description: 'Current time' }, async function () {
+            return 'noon at ' + this.name;
+        });
+        const clock = new Clock({ name: 'clock' });
+
+        expect(clock._getFunctions()).to.deep.equal([
+            { name: 'now', description: 'Current time', parameters: { type: 'object', properties: {} } },
+        ]);
+        expect(await clock.TOOL_now()).to.equal('noon at clock');
+        expect(Object.prototype.hasOwnProperty.call(Saico, 'tools')).to.be.false;
+        expect(() => Saico.defineTool('x', {})).to.throw('Saico subclass');
+    });
+
+    it('should send generated functions from the whole hierarchy and run them', async () => {
+        const llm = new ScriptedProvider()
+            .expect({ functions: ['get_weather', 'get_forecast', 'pick'] },
+                { tool_calls: [{ name: 'get_weather', arguments: { city: 'Oslo' } }] })
+            .expect({ where: r => r.messages.some(m => m.role === 'tool' && m.content === 'sunny in Oslo') },
+                'It is sunny.');
+        class Planner extends Saico {
+            static tools = { pick: { description: 'Pick a destination' } };
+            async TOOL_pick() {
+                return 'Oslo';
+            }
+        }
+        const root = new Weather({ provider: llm });
+        root.activate({ createQ: true });
+        const planner = new Planner();
+        planner.activate({ createQ: true });
+        root.spawn(planner);
+
+        await planner.recvChatMessage('weather?');
+
+        llm.verify();
+        expect(llm.calls[0].functions.map(f => f.name)).to.not.include('undescribed');
+    });
+
+    describe('argument validation', () => {
+        class Booking extends Saico {
+            static tools = {
+                book: {
+                    parameters: {
+                        type: 'object',
+                        properties: { city: { type: 'string' }, nights: { type: 'integer', minimum: 1 } },
+                        required: ['city', 'nights'],
+                        additionalProperties: false,
+                    },
+                },
+            };
+
+            async TOOL_book(args) {
+                this._booked = args;
+                return 'booked';
+            }
+        }
+
+        function run(args, opt = {}) {
+            const llm = new ScriptedProvider()
+                .expect({}, { tool_calls: [{ name: 'book', arguments: args }] })
+                .expect({}, 'ok');
+            const agent = new Booking({ provider: llm, ...opt });
+            agent.activate({ createQ: true });
+            return { agent, llm };
+        }
+
+        function toolReply(agent) {
+            return agent.msgs._msgs.find(m => m.msg.role === 'tool').msg.content;
+        }
+
+        it('should report invalid arguments to the model without running the tool', async () => {
+            const { agent } = run({ nights: '2', pets: true });
+
+            await agent.recvChatMessage('book Oslo');
+
+            expect(agent._booked).to.be.undefined;
+            const content = toolReply(agent);
+            expect(content).to.include('Invalid arguments for tool "book"');
+            const report = JSON.parse(content.slice(content.indexOf('{')));
+            expect(report).to.deep.equal({
+                error: 'invalid_arguments',
+                tool: 'book',
+                errors: [
+                    { path: '/city', message: 'is required' },
+                    { path: '/nights', message: 'must be integer, got string' },
+                    { path: '/pets', message: 'is not an allowed property' },
+                ],
+            });
+        });
+
+        it('should run the tool with valid arguments', async () => {
+            const { agent } = run({ city: 'Oslo', nights: 2 });
+            await agent.recvChatMessage('book Oslo');
+            expect(agent._booked).to.deep.equal({ city: 'Oslo', nights: 2 });
+            expect(toolReply(agent)).to.equal('booked');
+        });
+
+        it('should coerce simple mismatches when coerce_tool_args is set', async () => {
+            const { agent } = run({ city: 'Oslo', nights: '2' }, { coerce_tool_args: true });
+            await agent.recvChatMessage('book Oslo');
+            expect(agent._booked).to.deep.equal({ city: 'Oslo', nights: 2 });
+        });
+
+        it('should skip validation when validate_tool_args is false', async () => {
+            const { agent } = run({ nights: 'two' }, { validate_tool_args: false });
+            await agent.recvChatMessage('book Oslo');
+            expect(agent._booked).to.deep.equal({ nights: 'two' });
+        });
+    });
+});
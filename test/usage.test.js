@@ -0,0 +1,226 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const expect = chai.expect;
+
+const usage = require('../usage.js');
+const { ScriptedProvider } = require('../scripted.js');
+const { Saico } = require('../saico.js');
+const { Msgs } = require('../msgs.js');
+const Itask = require('../itask.js');
+const { Store } = require('../store.js');
+const openai = require('../openai.js');
+const util = require('../util.js');
+const redis = require('../redis.js');
+
+// 1000 prompt tokens (200 cached) + 100 completion tokens on gpt-5-mini
+const OPENAI_USAGE = { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100,
+    prompt_tokens_details: { cached_tokens: 200 } };
+
+describe('usage', function () {
+    let sandbox;
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        if (process.env.PROD)
+            sandbox.stub(console, 'log');
+        sandbox.stub(util, 'countTokens').callsFake((msgs) => {
+            if (Array.isArray(msgs)) return msgs.length * 10;
+            return 10;
+        });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    afterEach(() => {
+        sandbox.restore();
+        usage.setPrices(usage.DEFAULT_PRICES, { replace: true });
+        Itask.root.clear();
+        Store.instance = null;
+        redis.rclient = undefined;
+    });
+
+    describe('normalize and cost', () => {
+        it('should normalize OpenAI usage', () => {
+            expect(usage.normalize(OPENAI_USAGE, 'gpt-5-mini')).to.deep.equal({
+                model: 'gpt-5-mini', prompt_tokens: 1000, completion_tokens: 100, cached_tokens: 200,
+                total_tokens: 1100,
+            });
+        });
+
+        it('should normalize Anthropic usage, counting cache reads as prompt tokens', () => {
+            const u = usage.normalize({ input_tokens: 50, output_tokens: 10, cache_read_input_tokens: 400,
+                cache_creation_input_tokens: 100 }, 'claude-sonnet-4-5');
+            expect(u).to.include({ prompt_tokens: 550, cached_tokens: 400, completion_tokens: 10, total_tokens: 560 });
+        });
+
+        it('should price cached tokens separately and match dated models by prefix', () => {
+            const u = usage.normalize(OPENAI_USAGE, 'gpt-5-mini-2025-08-07');
+            // 800 * 0.25 + 200 * 0.025 + 100 * 2 per 1M
+            expect(usage.cost(u)).to.be.closeTo(0.000405, 1e-12);
+            expect(usage.getPrice('gpt-5-mini-2025-08-07')).to.equal(usage.getPrice('gpt-5-mini'));
+        });
+
+        it('should use custom prices and cost unknown models at 0', () => {
+            Saico.setPrices({ 'my-model': { input: 1, output: 1 } });
+            expect(usage.cost({ model: 'my-model', prompt_tokens: 1e6, cached_tokens: 0, completion_tokens: 1e6 }))
+                .to.equal(2);
+            expect(usage.cost({ model: 'other', prompt_tokens: 10, cached_tokens: 0, completion_tokens: 10 }))
+                .to.equal(0);
+
+            usage.setPrices({ 'my-model': { input: 1, output: 1 } }, { replace: true });
+            expect(usage.getPrice('gpt-5-mini')).to.be.null;
+        });
+
+        it('should add records and totals with a per-model breakdown', () => {
+            const a = usage.add(usage.empty(), usage.normalize(OPENAI_USAGE, 'gpt-5-mini'));
+            usage.add(a, usage.normalize({ prompt_tokens: 10, completion_tokens: 5 }, 'gpt-5'));
+            expect(a.calls).to.equal(2);
+            expect(a.total_tokens).to.equal(1115);
+            expect(Object.keys(a.by_model)).to.deep.equal(['gpt-5-mini', 'gpt-5']);
+
+            const b = usage.add(usage.add(usage.empty(), a), a);
+            expect(b.calls).to.equal(4);
+            expect(b.by_model['gpt-5-mini'].prompt_tokens).to.equal(2000);
+            expect(b.cost).to.be.closeTo(a.cost * 2, 1e-12);
+        });
+
+        it('should count tool cache hits without adding a call', () => {
+            const a = usage.add(usage.add(usage.empty(), usage.cacheHit()), usage.cacheHit());
+            expect(a).to.include({ calls: 0, total_tokens: 0, tool_cache_hits: 2 });
+            expect(a.by_model).to.deep.equal({});
+            expect(usage.add(usage.empty(), a).tool_cache_hits).to.equal(2);
+        });
+    });
+
+    describe('providers', () => {
+        it('should attach normalized usage in openai.send', async () => {
+            sandbox.stub(openai.client.chat.completions, 'create').resolves({
+                model: 'gpt-5-mini-2025-08-07',
+                choices: [{ message: { role: 'assistant', content: 'hi' } }],
+                usage: OPENAI_USAGE,
+            });
+            const msg = await openai.send([{ role: 'user', content: 'x' }]);
+            expect(msg.usage).to.include({ model: 'gpt-5-mini-2025-08-07', prompt_tokens: 1000, cached_tokens: 200 });
+        });
+    });
+
+    describe('Msgs', () => {
+        it('should strip usage from replies and accumulate it', async () => {
+            const llm = new ScriptedProvider()
+                .expect({}, { content: 'one', usage: OPENAI_USAGE })
+                .expect({}, { content: 'two', usage: { ...OPENAI_USAGE, model: 'gpt-5' } });
+            const ctx = new Msgs('p', { provider: llm });
+
+            await ctx.sendMessage('user', 'a', null, { model: 'gpt-5-mini' });
+            await ctx.sendMessage('user', 'b', null, { model: 'gpt-5-mini' });
+
+            expect(ctx._msgs.some(m => m.msg.usage)).to.be.false;
+            expect(ctx.usage.calls).to.equal(2);
+            expect(ctx.usage.prompt_tokens).to.equal(2000);
+            expect(ctx.usage.by_model['gpt-5-mini'].calls).to.equal(1);
+            expect(ctx.usage.by_model['gpt-5'].calls).to.equal(1);
+        });
+
+        it('should count summarization calls', async () => {
+            const llm = new ScriptedProvider({ summary: null })
+                .expect({ summary: true }, { content: 'sum', usage: OPENAI_USAGE });
+            const ctx = new Msgs('p', { provider: llm });
+            ctx.push({ role: 'user', content: 'hi' });
+
+            await ctx.close();
+
+            expect(ctx.usage.calls).to.equal(1);
+            expect(ctx.getSummaries()[0].msg.usage).to.be.undefined;
+        });
+
+        it('should ignore replies without usage', async () => {
+            const ctx = new Msgs('p', { provider: new ScriptedProvider().expect({}, 'plain') });
+            await ctx.sendMessage('user', 'a');
+            expect(ctx.usage.calls).to.equal(0);
+        });
+    });
+
+    describe('Saico hierarchy', () => {
+        class Worker extends Saico {
+            constructor() {
+                super({ name: 'worker', prompt: 'work', createQ: true });
+            }
+        }
+
+        function setup() {
+            const llm = new ScriptedProvider();
+            const root = new Saico({ name: 'root', prompt: 'root', provider: llm });
+            root.activate({ createQ: true });
+            const child = root.spawn(new Saico({ name: 'child', prompt: 'child' }));
+            const worker = child.spawn(new Worker());
+            return { llm, root, child, worker };
+        }
+
+        it('should record own usage and roll it up to every ancestor', async () => {
+            const { llm, root, child, worker } = setup();
+            llm.expect({}, { content: 'w', usage: OPENAI_USAGE })
+                .expect({}, { content: 'r', usage: OPENAI_USAGE });
+
+            await worker.sendMessage('hello', null, { model: 'gpt-5-mini' });
+            await root.sendMessage('hello', null, { model: 'gpt-5-mini' });
+
+            expect(worker.getUsage().calls).to.equal(1);
+            expect(worker.getUsage({ tree: true }).calls).to.equal(1);
+            expect(child.getUsage().calls).to.equal(0);
+            expect(child.getUsage({ tree: true }).calls).to.equal(1);
+            expect(root.getUsage().calls).to.equal(1);
+            expect(root.getUsage({ tree: true }).calls).to.equal(2);
+            expect(root.getUsage({ tree: true }).cost).to.be.closeTo(0.00081, 1e-12);
+        });
+
+        it('should roll up across isolate boundaries', async () => {
+            const { llm, root, child } = setup();
+            const isolated = child.spawn(new Saico({ name: 'iso', isolate: true, createQ: true }));
+            llm.expect({}, { content: 'x', usage: OPENAI_USAGE });
+
+            await isolated.sendMessage('hello');
+
+            expect(root.getUsage({ tree: true }).calls).to.equal(1);
+        });
+
+        it('should expose totals in getSessionInfo()', async () => {
+            const { llm, root, worker } = setup();
+            llm.expect({}, { content: 'w', usage: OPENAI_USAGE });
+
+            await worker.sendMessage('hello');
+
+            const info = root.getSessionInfo();
+            expect(info.usage.calls).to.equal(0);
+            expect(info.treeUsage.calls).to.equal(1);
+            expect(info.treeUsage.total_tokens).to.equal(1100);
+        });
+
+        it('should persist and restore totals', async () => {
+            const { llm, root, worker } = setup();
+            llm.expect({}, { content: 'w', usage: OPENAI_USAGE })
+                .expect({}, { content: 'r', usage: OPENAI_USAGE });
+            await worker.sendMessage('hello', null, { model: 'gpt-5-mini' });
+            await root.sendMessage('hello', null, { model: 'gpt-5-mini' });
+
+            const data = await root.prepareForStorage();
+            expect(data.usage.calls).to.equal(1);
+            expect(data.tree_usage.calls).to.equal(2);
+            expect(data.msgs.usage.calls).to.equal(1);
+
+            const restored = await Saico.deserialize(JSON.stringify(data), { provider: llm });
+            expect(restored.getUsage()).to.deep.equal(root.getUsage());
+            expect(restored.getUsage({ tree: true })).to.deep.equal(root.getUsage({ tree: true }));
+            expect(restored.msgs.usage.calls).to.equal(1);
+        });
+
+        it('should keep usage out of dirty detection', async () => {
+            const { llm, root } = setup();
+            expect(Object.keys(root)).to.not.include('usage');
+            expect(root.msgs._snapshotPublicProps(root).msgs).to.not.have.property('usage');
+            llm.verify();
+        });
+    });
+});
@@ -0,0 +1,204 @@
+'use strict';
+
+const tiktoken = require('tiktoken');
+
+/**
+ * tokens — token accounting and model context windows.
+ *
+ *     tokens.count(messages, { model: 'gpt-5-mini', functions })   // prompt tokens of a request
+ *     tokens.contextWindow('gpt-5-mini-2025-08-07')                 // 400000
+ *
+ * Models tiktoken knows are counted with their encoding; encoders are created
+ * once per encoding and reused. Other models (Anthropic, local models, names
+ * newer than tiktoken) fall back to an estimate of one token per 4
+ * characters. Counting covers string and multi-part content, the names and
+ * arguments of tool calls, and the function schemas sent along, plus the
+ * per-message overhead of the model family (see OVERHEAD).
+ *
+ * Context windows are matched exactly, then by the longest registered prefix
+ * (like prices in usage.js). Unknown models have no known window (null). Add
+ * your own with setContextWindows().
+ */
+
+const DEFAULT_CONTEXT_WINDOWS = {
+    'gpt-5': 400000,
+    'gpt-5-mini': 400000,
+    'gpt-5-nano': 400000,
+    'gpt-4.1': 1047576,
+    'gpt-4o': 128000,
+    'gpt-4o-mini': 128000,
+    'o3': 200000,
+    'o4-mini': 200000,
+    'claude-sonnet-4-5': 200000,
+    'claude-haiku-4-5': 200000,
+    'claude-opus-4-1': 200000,
+};
+
+// Structural tokens the provider adds around the text, by model prefix:
+// per message, per message name, per tool call, per function schema, once
+// for the functions block, once to prime the reply, and per image part
+const OVERHEAD = {
+    default: { message: 3, name: 1, tool_call: 3, function: 8, functions: 12, reply: 3, image: 765 },
+    claude: { message: 4, name: 1, tool_call: 10, function: 20, functions: 300, reply: 0, image: 1600 },
+};
+
+let _windows = { ...DEFAULT_CONTEXT_WINDOWS };
+const _encoders = new Map();    // encoding name => tiktoken encoder
+const _encodingNames = new Map();    // model => encoding name, or null for the estimator
+
+/**
+ * Merge context window sizes ({ [model]: tokens }). Pass { replace: true } to
+ * drop the existing entries.
+ */
+function setContextWindows(table, opt = {}) {
+    _windows = opt.replace ? { ...table } : { ..._windows, ...table };
+}
+
+// Exact name first, then the longest registered prefix
+function byPrefix(table, model) {
+    if (!model) return null;
+    if (table[model] !== undefined) return table[model];
+    let best = null;
+    for (const name of Object.keys(table)) {
+        if (model.startsWith(name) && (!best || name.length > best.length))
+            best = name;
+    }
+    return best ? table[best] : null;
+}
+
+/**
+ * @returns {number|null} Context window of the model in tokens, or null when unknown
+ */
+function contextWindow(model) {
+    return byPrefix(_windows, model);
+}
+
+function overheadOf(model) {
+    return byPrefix(OVERHEAD, model) || OVERHEAD.default;
+}
+
+/**
+ * The cached tiktoken encoder of a model, or null when tiktoken does not
+ * know it (the estimator is used instead).
+ */
+function encoderFor(model) {
+    if (!_encodingNames.has(model)) {
+        let name = null;
+        try {
+            name = tiktoken.get_encoding_name_for_model(model);
+        } catch (e) { /* unknown to tiktoken */ }
+        _encodingNames.set(model, name);
+    }
+    const name = _encodingNames.get(model);
+    if (!name) return null;
+    if (!_encoders.has(name))
+        _encoders.set(name, tiktoken.get_encoding(name));
+    return _encoders.get(name);
+}
+
+function estimate(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Tokens of a text for a model. Special-token text such as <|endoftext|> in
+ * a message is counted as the plain text the provider reads it as.
+ */
+function countText(text, model = 'gpt-4o') {
+    if (!text) return 0;
+    const encoder = encoderFor(model);
+    return encoder ? encoder.encode(text, [], []).length : estimate(text);
+}
+
+// Text of a content value: a string, or OpenAI / Anthropic content parts
+function countContent(content, model, overhead) {
+    if (typeof content === 'string')
+        return countText(content, model);
+    if (!Array.isArray(content))
+        return content ? countText(JSON.stringify(content), model) : 0;
+    let n = 0;
+    for (const part of content) {
+        if (typeof part === 'string')
+            n += countText(part, model);
+        else if (part?.type === 'text')
+            n += countText(part.text, model);
+        else if (part?.type === 'image_url' || part?.type === 'image')
+            n += overhead.image;
+        else if (part)
+            n += countText(JSON.stringify(part), model);
+    }
+    return n;
+}
+
+/**
+ * Tokens of one chat message, its overhead included.
+ */
+function countMessage(message, model = 'gpt-4o') {
+    if (typeof message === 'string')
+        return countText(message, model);
+    if (!message || typeof message !== 'object')
+        return 0;
+    const overhead = overheadOf(model);
+    let n = overhead.message + countText(message.role, model) + countContent(message.content, model, overhead);
+    if (message.name)
+        n += overhead.name + countText(message.name, model);
+    if (message.tool_call_id)
+        n += countText(message.tool_call_id, model);
+    for (const call of message.tool_calls || []) {
+        const fn = call.function || {};
+        const args = typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments || {});
+        n += overhead.tool_call + countText(call.id, model) + countText(fn.name, model) + countText(args, model);
+    }
+    return n;
+}
+
+/**
+ * Tokens of the function schemas sent with a request, bare or wrapped as
+ * { type: 'function', function: {...} }.
+ */
+function countFunctions(functions, model = 'gpt-4o') {
+    if (!functions?.length) return 0;
+    const overhead = overheadOf(model);
+    let n = overhead.functions;
+    for (const f of functions) {
+        const fn = f.function || f;
+        n += overhead.function + countText(fn.name, model) + countText(fn.description, model);
+        if (fn.parameters)
+            n += countText(JSON.stringify(fn.parameters), model);
+    }
+    return n;
+}
+
+/**
+ * Prompt tokens of a request: the messages (a message, a string, or an array
+ * of them), the function schemas and the reply priming.
+ * @param {Object} [opts] - { model = 'gpt-4o', functions }
+ */
+function count(messages, opts = {}) {
+    const model = opts.model || 'gpt-4o';
+    if (!Array.isArray(messages))
+        messages = [messages];
+    let n = overheadOf(model).reply + countFunctions(opts.functions, model);
+    for (const m of messages)
+        n += countMessage(m, model);
+    return n;
+}
+
+// Release the cached encoders (they are created again when needed)
+function free() {
+    for (const encoder of _encoders.values())
+        encoder.free();
+    _encoders.clear();
+}
+
+module.exports = {
+    DEFAULT_CONTEXT_WINDOWS,
+    OVERHEAD,
+    setContextWindows,
+    contextWindow,
+    countText,
+    countMessage,
+    countFunctions,
+    count,
+    free,
+};
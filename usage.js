@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * usage — token usage and cost accounting for LLM calls.
+ *
+ * Providers attach the usage block of each response to the reply message as
+ * `reply.usage`. Msgs strips it before the message enters the queue,
+ * normalizes it with normalize() into
+ *
+ *     { model, prompt_tokens, completion_tokens, cached_tokens, total_tokens }
+ *
+ * (prompt_tokens includes cached_tokens) and accumulates it with add() on the
+ * Msgs and on the owning Saico and its ancestors.
+ *
+ * Cost is computed at record time from the price table (USD per 1M tokens).
+ * Models are matched exactly, then by the longest registered prefix, so dated
+ * snapshots ('gpt-5-mini-2025-08-07') use the base model price. Unknown
+ * models cost 0. Prices change — set your own with setPrices().
+ */
+
+const DEFAULT_PRICES = {
+    'gpt-5': { input: 1.25, cached_input: 0.125, output: 10 },
+    'gpt-5-mini': { input: 0.25, cached_input: 0.025, output: 2 },
+    'gpt-5-nano': { input: 0.05, cached_input: 0.005, output: 0.4 },
+    'gpt-4o': { input: 2.5, cached_input: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, cached_input: 0.075, output: 0.6 },
+    'claude-sonnet-4-5': { input: 3, cached_input: 0.3, output: 15 },
+    'claude-haiku-4-5': { input: 1, cached_input: 0.1, output: 5 },
+    'claude-opus-4-1': { input: 15, cached_input: 1.5, output: 75 },
+};
+
+let _prices = { ...DEFAULT_PRICES };
+
+/**
+ * Merge prices into the table ({ [model]: { input, cached_input?, output } },
+ * USD per 1M tokens). Pass { replace: true } to drop the existing entries.
+ */
+function setPrices(table, opt = {}) {
+    _prices = opt.replace ? { ...table } : { ..._prices, ...table };
+}
+
+function getPrice(model) {
+    if (!model) return null;
+    if (_prices[model]) return _prices[model];
+    let best = null;
+    for (const name of Object.keys(_prices)) {
+        if (model.startsWith(name) && (!best || name.length > best.length))
+            best = name;
+    }
+    return best ? _prices[best] : null;
+}
+
+/**
+ * Normalize a provider usage block (OpenAI chat completions or Anthropic
+ * Messages API) into the shape above. Returns null when there is none.
+ */
+function normalize(raw, model) {
+    if (!raw) return null;
+    let prompt, completion, cached;
+    if (raw.input_tokens !== undefined) {
+        // Anthropic: input_tokens excludes cache reads and writes
+        cached = raw.cache_read_input_tokens || 0;
+        prompt = (raw.input_tokens || 0) + cached + (raw.cache_creation_input_tokens || 0);
+        completion = raw.output_tokens || 0;
+    } else {
+        prompt = raw.prompt_tokens || 0;
+        completion = raw.completion_tokens || 0;
+        cached = raw.prompt_tokens_details?.cached_tokens ?? raw.cached_tokens ?? 0;
+    }
+    return {
+        model: model || raw.model || null,
+        prompt_tokens: prompt,
+        completion_tokens: completion,
+        cached_tokens: cached,
+        total_tokens: prompt + completion,
+    };
+}
+
+// Cost in USD of one normalized usage record
+function cost(u, model = u?.model) {
+    const price = getPrice(model);
+    if (!price || !u) return 0;
+    const cachedPrice = price.cached_input ?? price.input;
+    return ((u.prompt_tokens - u.cached_tokens) * price.input +
+        u.cached_tokens * cachedPrice + u.completion_tokens * price.output) / 1e6;
+}
+
+function _counts() {
+    return { calls: 0, prompt_tokens: 0, completion_tokens: 0, cached_tokens: 0, total_tokens: 0, cost: 0 };
+}
+
+// Empty totals: counters, tool calls answered from the cache and a per-model breakdown
+function empty() {
+    return { ..._counts(), tool_cache_hits: 0, by_model: {} };
+}
+
+// Usage record of a tool call answered from the tool cache (no LLM call)
+function cacheHit() {
+    return { tool_cache_hits: 1 };
+}
+
+function _addCounts(target, u, c) {
+    target.calls += u.calls ?? 1;
+    target.prompt_tokens += u.prompt_tokens || 0;
+    target.completion_tokens += u.completion_tokens || 0;
+    target.cached_tokens += u.cached_tokens || 0;
+    target.total_tokens += u.total_tokens || 0;
+    target.cost = round(target.cost + c);
+}
+
+/**
+ * Add a normalized usage record (or another totals object) to totals.
+ * Mutates and returns `totals`.
+ */
+function add(totals, u) {
+    if (!u) return totals;
+    if (u.tool_cache_hits)
+        totals.tool_cache_hits = (totals.tool_cache_hits || 0) + u.tool_cache_hits;
+    if (u.by_model) {
+        for (const [model, m] of Object.entries(u.by_model)) {
+            const target = totals.by_model[model] ||= _counts();
+            _addCounts(target, m, m.cost || 0);
+            _addCounts(totals, m, m.cost || 0);
+        }
+        return totals;
+    }
+    if (u.total_tokens === undefined)
+        return totals;   // cacheHit() records count no tokens
+    const c = cost(u);
+    const model = u.model || 'unknown';
+    const target = totals.by_model[model] ||= _counts();
+    _addCounts(target, u, c);
+    _addCounts(totals, u, c);
+    return totals;
+}
+
+// Avoid float drift in accumulated costs (1e-9 USD resolution)
+function round(n) {
+    return Math.round(n * 1e9) / 1e9;
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    setPrices,
+    getPrice,
+    normalize,
+    cost,
+    empty,
+    cacheHit,
+    add,
+};
@@ -1,5 +1,5 @@
 const is_mocha = process.env.NODE_ENV == 'test';
-const tiktoken = require('tiktoken');
+const tokens = require('./tokens.js');
 const zlib = require('zlib');
 const { promisify } = require('util');
 const gzip = promisify(zlib.gzip);
@@ -58,6 +58,62 @@ function logEvent(event, data) {
     _log(`[EVENT: ${event}]`, data);
 }
 
+/**
+ * Run `run(push)` and expose the events it pushes as an async iterable.
+ * The iteration ends with a { type: 'done', message } event carrying the
+ * value `run` resolved with, or throws the error it rejected with.
+ * `result` resolves/rejects with the same outcome.
+ */
+function createEventStream(run) {
+    const events = [];
+    let done = false;
+    let error = null;
+    let wake = null;
+
+    const notify = () => {
+        if (wake) {
+            const w = wake;
+            wake = null;
+            w();
+        }
+    };
+    const push = (event) => {
+        if (done) return;
+        events.push(event);
+        notify();
+    };
+
+    const result = Promise.resolve().then(() => run(push)).then(message => {
+        push({ type: 'done', message });
+        done = true;
+        notify();
+        return message;
+    }, err => {
+        error = err;
+        done = true;
+        notify();
+        throw err;
+    });
+    result.catch(() => {}); // surfaced through the iterator and `result`
+
+    return {
+        result,
+        async *[Symbol.asyncIterator]() {
+            while (true) {
+                if (events.length) {
+                    yield events.shift();
+                    continue;
+                }
+                if (done) {
+                    if (error) throw error;
+                    return;
+                }
+                await new Promise(resolve => { wake = resolve; });
+            }
+        },
+    };
+}
+
 const lerr = _lerr;
 
 module.exports = {
@@ -74,6 +130,7 @@ module.exports = {
     shallowEqual,
     filterArray,
     logEvent,
+    createEventStream,
 }
 
 async function compressMessages(messages) {
@@ -104,41 +161,12 @@ async function decompressMessages(data) {
     throw new Error('decompressMessages: unsupported data type: ' + typeof data);
 }
 
-function countTokens(messages, model = "gpt-4o") {
-	// Load the encoding for the specified model
-	const encoding = tiktoken.encoding_for_model(model);
-	let bmsg_size = 0;
-	let numTokens = 0;
-
-	if (!Array.isArray(messages))
-		messages = [messages];
-	messages.forEach(message => {
-		if (typeof message == 'string')
-		{
-			numTokens += encoding.encode(message).length;
-			if (message.length > bmsg_size)
-				bmsg_size = message.length;
-		}
-		else if (typeof message == 'object')
-		{
-			numTokens += 4; // Role and other structure overhead
-			for (const key in message) {
-				if (!message[key])
-					continue
-				if (typeof message[key] != 'string')
-					continue;
-				numTokens += encoding.encode(message[key]).length;
-				if (message[key].length > bmsg_size)
-					bmsg_size = message[key].length;
-			}
-		}
-	});
-
-	// Add 2 tokens for the assistant's reply overhead
-	numTokens += 2;
-	encoding.free();
-
-	return numTokens;
+/**
+ * Prompt tokens of messages (a message, a string, or an array of them) for a
+ * model, with the function schemas sent along. See tokens.js.
+ */
+function countTokens(messages, model = 'gpt-4o', functions = null) {
+    return tokens.count(messages, { model, functions });
 }
 
 